@@ -1,113 +1,146 @@
 import d3 from '../d3.js'
+import {createDataIndex} from './CalculateTree.handlers.js'
+import {PARENT_TYPES, getParentTypeOf} from './CalculateTree.parentTypes.js'
 
 // https://support.ancestry.co.uk/s/article/Understanding-Kinship-Terms
 export function calculateKinships(d_id, data_stash, kinship_info_config={}) {
-  const main_datum = data_stash.find(d => d.id === d_id)
-  const kinships = {}
-  loopCheck(main_datum.id, 'self', 0)
+  const data_index = createDataIndex(data_stash)
+  const main_datum = data_index.get(d_id)
+  const kinships = findKinships(false)
   setupHalfKinships(kinships)
-  if (kinship_info_config.show_in_law) setupInLawKinships(kinships, data_stash)
+  if (kinship_info_config.show_in_law) setupInLawKinships(kinships)
+  setupParentTypeKinships(kinships)
   setupKinshipsGender(kinships)
 
   return kinships
 
-  function loopCheck(d_id, kinship, depth, prev_rel_id=undefined) {
-    if (!d_id) return
-    if (kinships[d_id] && kinships[d_id] !== kinship) console.error('kinship mismatch, kinship 1: ', kinships[d_id], 'kinship 2: ', kinship)
-    if (kinships[d_id]) return
-    if (kinship) kinships[d_id] = kinship
-    const datum = data_stash.find(d => d.id === d_id)
-    const rels = datum.rels
-    if (kinship === 'self') {
-      loopCheck(rels.father, 'parent', depth - 1, d_id);
-      loopCheck(rels.mother, 'parent', depth - 1, d_id);
-      (rels.spouses || []).forEach(id => loopCheck(id, 'spouse', depth));
-      (rels.children || []).forEach(id => loopCheck(id, 'child', depth + 1));
-    }
-    else if (kinship === 'parent') {
-      loopCheck(rels.father, 'grandparent', depth - 1, d_id);
-      loopCheck(rels.mother, 'grandparent', depth - 1, d_id);
-      (rels.children || []).forEach(id => {
-        if (prev_rel_id && prev_rel_id === id) return
-        loopCheck(id, 'sibling', depth+1)
-      });
-    }
-    else if (kinship === 'spouse') {
-      // nothing
-    }
-    else if (kinship === 'child') {
-      (rels.children || []).forEach(id => loopCheck(id, 'grandchild', depth + 1));
-    }
-    else if (kinship === 'sibling') {
-      (rels.children || []).forEach(id => loopCheck(id, 'nephew', depth + 1));
-    }
-    else if (kinship === 'grandparent') {
-      if (!prev_rel_id) console.error(`${kinship} should have prev_rel_id`)
-      loopCheck(rels.father, 'great-grandparent', depth - 1, d_id);
-      loopCheck(rels.mother, 'great-grandparent', depth - 1, d_id);
-      (rels.children || []).forEach(id => {
-        if (prev_rel_id && prev_rel_id === id) return
-        loopCheck(id, 'uncle', depth + 1)
-      });
-    }
-    else if (kinship.includes('grandchild')) {
-      (rels.children || []).forEach(id => loopCheck(id, getGreatKinship(kinship, depth + 1), depth + 1));
-    }
-    else if (kinship.includes('great-grandparent')) {
-      if (!prev_rel_id) console.error(`${kinship} should have prev_rel_id`)
-      loopCheck(rels.father, getGreatKinship(kinship, depth - 1), depth - 1, d_id);
-      loopCheck(rels.mother, getGreatKinship(kinship, depth - 1), depth - 1, d_id);
-      (rels.children || []).forEach(id => {
-        if (prev_rel_id && prev_rel_id === id) return
-        const great_count = getGreatCount(depth + 1)
-        if (great_count === 0) loopCheck(id, 'granduncle', depth + 1)
-        else if (great_count > 0) loopCheck(id, getGreatKinship('granduncle', depth + 1), depth + 1)
-        else console.error(`${kinship} should have great_count > -1`)
-      });
-    }
-    else if (kinship === 'nephew') {
-      (rels.children || []).forEach(id => loopCheck(id, 'grandnephew', depth + 1));
-    }
-    else if (kinship.includes('grandnephew')) {
-      (rels.children || []).forEach(id => loopCheck(id, getGreatKinship(kinship, depth + 1), depth + 1));
-    }
-    else if (kinship === 'uncle') {
-      (rels.children || []).forEach(id => loopCheck(id, '1st Cousin', depth + 1));
+  // with_parent_types also follows adoptive, step and foster parents and children,
+  // prefixes then has the type of the first such relation on the way from main
+  function findKinships(with_parent_types) {
+    const kinships = {}
+    const prefixes = {}
+    loopCheck(main_datum.id, 'self', 0)
+    return with_parent_types ? {kinships, prefixes} : kinships
+
+    function loopCheck(d_id, kinship, depth, prev_rel_id=undefined, prefix='') {
+      if (!d_id || !data_index.get(d_id)) return
+      if (!with_parent_types && kinships[d_id] && kinships[d_id] !== kinship) console.error('kinship mismatch, kinship 1: ', kinships[d_id], 'kinship 2: ', kinship)
+      if (kinships[d_id]) return
+      if (kinship) kinships[d_id] = kinship
+      if (prefix) prefixes[d_id] = prefix
+      const datum = data_index.get(d_id)
+      if (kinship === 'self') {
+        toParents('parent');
+        (datum.rels.spouses || []).forEach(id => loopCheck(id, 'spouse', depth));
+        getChildIdsOf(datum).forEach(id => toChild(id, 'child', depth + 1));
+      }
+      else if (kinship === 'parent') {
+        toParents('grandparent');
+        getChildIdsOf(datum).forEach(id => {
+          if (prev_rel_id && prev_rel_id === id) return
+          toChild(id, 'sibling', depth+1)
+        });
+      }
+      else if (kinship === 'spouse') {
+        // nothing
+      }
+      else if (kinship === 'child') {
+        getChildIdsOf(datum).forEach(id => toChild(id, 'grandchild', depth + 1));
+      }
+      else if (kinship === 'sibling') {
+        getChildIdsOf(datum).forEach(id => toChild(id, 'nephew', depth + 1));
+      }
+      else if (kinship === 'grandparent') {
+        if (!prev_rel_id) console.error(`${kinship} should have prev_rel_id`)
+        toParents('great-grandparent');
+        getChildIdsOf(datum).forEach(id => {
+          if (prev_rel_id && prev_rel_id === id) return
+          toChild(id, 'uncle', depth + 1)
+        });
+      }
+      else if (kinship.includes('grandchild')) {
+        getChildIdsOf(datum).forEach(id => toChild(id, getGreatKinship(kinship, depth + 1), depth + 1));
+      }
+      else if (kinship.includes('great-grandparent')) {
+        if (!prev_rel_id) console.error(`${kinship} should have prev_rel_id`)
+        toParents(getGreatKinship(kinship, depth - 1));
+        getChildIdsOf(datum).forEach(id => {
+          if (prev_rel_id && prev_rel_id === id) return
+          const great_count = getGreatCount(depth + 1)
+          if (great_count === 0) toChild(id, 'granduncle', depth + 1)
+          else if (great_count > 0) toChild(id, getGreatKinship('granduncle', depth + 1), depth + 1)
+          else console.error(`${kinship} should have great_count > -1`)
+        });
+      }
+      else if (kinship === 'nephew') {
+        getChildIdsOf(datum).forEach(id => toChild(id, 'grandnephew', depth + 1));
+      }
+      else if (kinship.includes('grandnephew')) {
+        getChildIdsOf(datum).forEach(id => toChild(id, getGreatKinship(kinship, depth + 1), depth + 1));
+      }
+      else if (kinship === 'uncle') {
+        getChildIdsOf(datum).forEach(id => toChild(id, '1st Cousin', depth + 1));
+      }
+      else if (kinship === 'granduncle') {
+        getChildIdsOf(datum).forEach(id => toChild(id, '1st Cousin 1x removed', depth + 1));
+      }
+      else if (kinship.includes('great-granduncle')) {
+        const child_depth = depth + 1;
+        const removed_count = Math.abs(child_depth);
+        getChildIdsOf(datum).forEach(id => toChild(id, `1st Cousin ${removed_count}x removed`, child_depth));
+      }
+      else if (kinship.slice(4).startsWith('Cousin')) {
+        getChildIdsOf(datum).forEach(id => {
+          const child_depth = depth + 1
+          const removed_count = Math.abs(child_depth);
+          const cousin_count = +kinship[0]
+          if (child_depth === 0) {
+            toChild(id, `${getOrdinal(cousin_count+1)} Cousin`, child_depth)
+          } else if (child_depth < 0) {
+            toChild(id, `${getOrdinal(cousin_count+1)} Cousin ${removed_count}x removed`, child_depth)
+          } else if (child_depth > 0) {
+            toChild(id, `${getOrdinal(cousin_count)} Cousin ${removed_count}x removed`, child_depth)
+          }
+        });
+      }
+      else console.error(`${kinship} not found`)
+
+      function toParents(parent_kinship) {
+        getParentIdsOf(datum).forEach(id => loopCheck(id, parent_kinship, depth - 1, d_id, prefix || getPrefix(datum, id, 'parent_kinship')))
+      }
+
+      function toChild(id, child_kinship, child_depth) {
+        const child = data_index.get(id)
+        if (child) loopCheck(id, child_kinship, child_depth, undefined, prefix || getPrefix(child, d_id, 'child_kinship'))
+      }
     }
-    else if (kinship === 'granduncle') {
-      (rels.children || []).forEach(id => loopCheck(id, '1st Cousin 1x removed', depth + 1));
+
+    function getParentIdsOf(datum) {
+      const ids = [datum.rels.father, datum.rels.mother]
+      if (with_parent_types) Object.values(PARENT_TYPES).forEach(({parents}) => ids.push(...(datum.rels[parents] || [])))
+      return ids.filter(id => id)
     }
-    else if (kinship.includes('great-granduncle')) {
-      const child_depth = depth + 1;
-      const removed_count = Math.abs(child_depth);
-      (rels.children || []).forEach(id => loopCheck(id, `1st Cousin ${removed_count}x removed`, child_depth));
+
+    function getChildIdsOf(datum) {
+      const ids = [...(datum.rels.children || [])]
+      if (with_parent_types) Object.values(PARENT_TYPES).forEach(({children}) => ids.push(...(datum.rels[children] || [])))
+      return ids
     }
-    else if (kinship.slice(4).startsWith('Cousin')) {
-      (rels.children || []).forEach(id => {
-        const child_depth = depth + 1
-        const removed_count = Math.abs(child_depth);
-        const cousin_count = +kinship[0]
-        if (child_depth === 0) {
-          loopCheck(id, `${getOrdinal(cousin_count+1)} Cousin`, child_depth)
-        } else if (child_depth < 0) {
-          loopCheck(id, `${getOrdinal(cousin_count+1)} Cousin ${removed_count}x removed`, child_depth)
-        } else if (child_depth > 0) {
-          loopCheck(id, `${getOrdinal(cousin_count)} Cousin ${removed_count}x removed`, child_depth)
-        }
-      });
+
+    function getPrefix(child, parent_id, kinship_key) {
+      const parent_type = getParentTypeOf(child, parent_id)
+      return parent_type ? PARENT_TYPES[parent_type][kinship_key] : ''
     }
-    else console.error(`${kinship} not found`)
   }
 
-
   function setupHalfKinships(kinships) {
     const half_kinships = []
     Object.keys(kinships).forEach(d_id => {
       const kinship = kinships[d_id]
       if (kinship.includes('child')) return
       if (kinship === 'spouse') return
-      const same_ancestors = findSameAncestor(main_datum.id, d_id, data_stash)
-      if (!same_ancestors) return console.error(`${data_stash.find(d => d.id === d_id).data} not found in main_ancestry`)
+      const same_ancestors = findSameAncestor(main_datum.id, d_id, data_index)
+      if (!same_ancestors) return console.error(`${data_index.get(d_id).data} not found in main_ancestry`)
 
       if (same_ancestors.is_half_kin) half_kinships.push(d_id)
     })
@@ -117,10 +150,10 @@ export function calculateKinships(d_id, data_stash, kinship_info_config={}) {
     })
   }
 
-  function setupInLawKinships(kinships, data_stash) {
+  function setupInLawKinships(kinships) {
     Object.keys(kinships).forEach(d_id => {
       const kinship = kinships[d_id]
-      const datum = data_stash.find(d => d.id === d_id)
+      const datum = data_index.get(d_id)
 
       if (kinship === 'spouse') {
         const siblings = [];
@@ -143,10 +176,18 @@ export function calculateKinships(d_id, data_stash, kinship_info_config={}) {
     })
   }
 
+  // relatives through adoptive, step and foster parents, e.g. adoptive grandmother or step-sister
+  function setupParentTypeKinships(kinships) {
+    const {kinships: all_kinships, prefixes} = findKinships(true)
+    Object.keys(all_kinships).forEach(d_id => {
+      if (!kinships[d_id] && prefixes[d_id]) kinships[d_id] = prefixes[d_id] + all_kinships[d_id]
+    })
+  }
+
   function setupKinshipsGender(kinships) {
     Object.keys(kinships).forEach(d_id => {
       const kinship = kinships[d_id]
-      const datum = data_stash.find(d => d.id === d_id)
+      const datum = data_index.get(d_id)
       const gender = datum.data.gender
       if (kinship.includes('parent')) {
         const rel_type_general = 'parent'
@@ -173,11 +214,11 @@ export function calculateKinships(d_id, data_stash, kinship_info_config={}) {
   }
 
   function getD(d_id) {
-    return data_stash.find(d => d.id === d_id)
+    return data_index.get(d_id)
   }
 }
 
-function findSameAncestor(main_id, rel_id, data_stash) {
+function findSameAncestor(main_id, rel_id, data_index) {
   const main_ancestry = getAncestry(main_id)
 
   let found;
@@ -197,12 +238,12 @@ function findSameAncestor(main_id, rel_id, data_stash) {
       is_half_kin = false
       return
     }
-    const d = data_stash.find(d => d.id === rel_id)
+    const d = data_index.get(rel_id)
     const rels = d.rels
     const parents = getParents(rels)
-    const found_parent = main_ancestry.find(p => (p[0] && parents[0] && p[0] === parents[0]) || (p[1] && parents[1] && p[1] === parents[1]))
+    const found_parent = main_ancestry.find(p => parents.some(id => id && p.includes(id)))  // parent order does not matter
     if (found_parent) {
-      found = parents.filter((p, i) => p === found_parent[i])
+      found = parents.filter(id => id && found_parent.includes(id))
       is_half_kin = checkIfHalfKin(parents, found_parent)
       return
     }
@@ -216,7 +257,7 @@ function findSameAncestor(main_id, rel_id, data_stash) {
     return ancestry
   
     function loopAdd(rel_id) {
-      const d = data_stash.find(d => d.id === rel_id)
+      const d = data_index.get(rel_id)
       const rels = d.rels
       ancestry.push(getParents(rels))
       if (rels.father) loopAdd(rels.father)
@@ -229,7 +270,7 @@ function findSameAncestor(main_id, rel_id, data_stash) {
   }
 
   function checkIfRel(rel_id) {
-    const d = data_stash.find(d => d.id === rel_id)
+    const d = data_index.get(rel_id)
     const found_parent = main_ancestry.find(p => p[0] === d.id || p[1] === d.id)
     if (found_parent) {
       is_ancestor = true
@@ -239,7 +280,7 @@ function findSameAncestor(main_id, rel_id, data_stash) {
   }
 
   function checkIfSpouse(rel_id) {
-    const main_datum = data_stash.find(d => d.id === main_id)
+    const main_datum = data_index.get(main_id)
     if ((main_datum.rels.spouses || []).includes(rel_id)) {
       found = [main_id, rel_id]
     }
@@ -247,16 +288,17 @@ function findSameAncestor(main_id, rel_id, data_stash) {
 
 
   function checkIfHalfKin(ancestors1, ancestors2) {
-    return ancestors1[0] !== ancestors2[0] || ancestors1[1] !== ancestors2[1]
+    return ancestors1.some(id => !ancestors2.includes(id)) || ancestors2.some(id => !ancestors1.includes(id))
   }
 }
 
 export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
+  const data_index = createDataIndex(data_stash)
   let in_law_id;
   const kinship = kinships[rel_id].toLowerCase()
   if (kinship.includes('in-law')) {
     in_law_id = rel_id
-    const datum = data_stash.find(d => d.id === in_law_id)
+    const datum = data_index.get(in_law_id)
     if (kinship.includes('sister') || kinship.includes('brother')) {
       rel_id = main_id
     } else {
@@ -264,11 +306,11 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
     }
   }
 
-  const same_ancestors = findSameAncestor(main_id, rel_id, data_stash)
+  const same_ancestors = findSameAncestor(main_id, rel_id, data_index)
   if (!same_ancestors) return console.error(`${rel_id} not found in main_ancestry`)
 
   const same_ancestor_id = same_ancestors.is_ancestor ? same_ancestors.found : same_ancestors.found[0]
-  const same_ancestor = data_stash.find(d => d.id === same_ancestor_id)
+  const same_ancestor = data_index.get(same_ancestor_id)
   
   const root = d3.hierarchy(same_ancestor, hierarchyGetterChildren)
   const same_ancestor_progeny = root.descendants().map(d => d.data.id)
@@ -304,7 +346,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
   }
 
   function hierarchyGetterChildren(d) {
-    const children = [...(d.rels.children || [])].map(id => data_stash.find(d => d.id === id))
+    const children = [...(d.rels.children || [])].map(id => data_index.get(id))
     return children
   }
 
@@ -314,7 +356,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
     return ancestry
 
     function loopAdd(d_id) {
-      const d = data_stash.find(d => d.id === d_id)
+      const d = data_index.get(d_id)
       const rels = d.rels
       if (same_ancestor_progeny.includes(rels.mother)) {
         ancestry.push(rels.mother)
@@ -331,7 +373,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
     const datum = kinship_data_stash[0]
     const spouse_id = same_ancestor_id === same_ancestors.found[0] ? same_ancestors.found[1] : same_ancestors.found[0]
     datum.rels.spouses = [spouse_id]
-    const spouse = data_stash.find(d => d.id === spouse_id)
+    const spouse = data_index.get(spouse_id)
     const spouse_datum = {
       id: spouse.id,
       data: JSON.parse(JSON.stringify(spouse.data)),
@@ -344,7 +386,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
     kinship_data_stash.push(spouse_datum);
 
     (datum.rels.children || []).forEach(child_id => {
-      const child = data_stash.find(d => d.id === child_id)
+      const child = data_index.get(child_id)
       const kinship_child = kinship_data_stash.find(d => d.id === child_id)
       kinship_child.rels.father = child.rels.father
       kinship_child.rels.mother = child.rels.mother
@@ -364,7 +406,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
     const spouse_id = in_law_id
     datum.rels.spouses = [spouse_id]
 
-    const spouse = data_stash.find(d => d.id === spouse_id)
+    const spouse = data_index.get(spouse_id)
     const spouse_datum = {
       id: spouse.id,
       data: JSON.parse(JSON.stringify(spouse.data)),
@@ -442,7 +484,7 @@ export function getKinshipsDataStash(main_id, rel_id, data_stash, kinships) {
   }
 
   function getD(d_id) {
-    return data_stash.find(d => d.id === d_id)
+    return data_index.get(d_id)
   } 
 }
 
@@ -11,7 +11,7 @@ export function handleDuplicateSpouseToggle(tree) {
   })
 }
 
-export function handleDuplicateHierarchyProgeny(root, data_stash, on_toggle_one_close_others=true) {
+export function handleDuplicateHierarchyProgeny(root, data_index, on_toggle_one_close_others=true) {
   const progeny_duplicates = []
   loopChildren(root)
   setToggleIds(progeny_duplicates)
@@ -19,7 +19,7 @@ export function handleDuplicateHierarchyProgeny(root, data_stash, on_toggle_one_
   function loopChildren(d) {
     if (!d.children) return
     const p1 = d.data
-    const spouses = (d.data.rels.spouses || []).map(id => data_stash.find(d => d.id === id))
+    const spouses = (d.data.rels.spouses || []).map(id => data_index.get(id))
 
     const children_by_spouse = getChildrenBySpouse(d)
     spouses.forEach(p2 => {
@@ -112,7 +112,7 @@ export function handleDuplicateHierarchyProgeny(root, data_stash, on_toggle_one_
       if (d === datum) return
       if (d.children) {
         const p1 = d.data
-        const spouses = (d.data.rels.spouses || []).map(id => data_stash.find(d => d.id === id))
+        const spouses = (d.data.rels.spouses || []).map(id => data_index.get(id))
         const children_by_spouse = getChildrenBySpouse(d)
         spouses.forEach(p2 => {
           if (checkIfDuplicate([partner1, partner2], [p1, p2])) {
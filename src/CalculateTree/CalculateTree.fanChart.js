@@ -0,0 +1,90 @@
+import {getParentType, getParentIds} from "./CalculateTree.parentTypes.js"
+
+// main is a circle in the middle, every generation of ancestors is a ring around it and
+// every ancestor gets the part of the child segment that belongs to its slot (father left, mother right)
+// angles are in radians, 0 is at the top and they grow clockwise like in d3.arc
+
+export function calculateFanPositions({main, data_index, ancestry_depth, parent_set, angle=270, inner_radius=80, ring_width=120}) {
+  const total_angle = Math.min(360, angle) * Math.PI / 180
+  const root = {data: main, depth: 0, fan: {start_angle: 0, end_angle: 2*Math.PI, inner_radius: 0, outer_radius: inner_radius}}
+  const tree = [root]
+  setupPosition(root)
+  addParents(root, -total_angle/2, total_angle/2)
+
+  return tree
+
+  function addParents(d, start_angle, end_angle) {
+    const parent_type = getParentType(d.data, parent_set)
+    if (parent_type) d.parent_type = parent_type
+    if (d.depth === ancestry_depth) return
+    const slots = getParentSlots(d.data)
+    const slot_angle = (end_angle - start_angle) / slots.length
+    const ring_radius = inner_radius + d.depth*ring_width
+
+    slots.forEach((parent_id, i) => {
+      const datum = data_index.get(parent_id)
+      if (!datum) return
+      const parent = {
+        data: datum,
+        depth: d.depth+1,
+        parent: d,
+        is_ancestry: true,
+        fan: {
+          start_angle: start_angle + i*slot_angle,
+          end_angle: start_angle + (i+1)*slot_angle,
+          inner_radius: ring_radius,
+          outer_radius: ring_radius + ring_width
+        }
+      }
+      setupPosition(parent)
+      if (!d.parents) d.parents = []
+      d.parents.push(parent)
+      tree.push(parent)
+      addParents(parent, parent.fan.start_angle, parent.fan.end_angle)
+    })
+  }
+
+  // a single parent of parent_set gets the slot a single biological parent would get, the right one for women
+  function getParentSlots(datum) {
+    if (!getParentType(datum, parent_set)) return [datum.rels.father, datum.rels.mother]
+    const parent_ids = getParentIds(datum, parent_set)
+    if (parent_ids.length > 1) return parent_ids
+    const parent = data_index.get(parent_ids[0])
+    return parent && parent.data.gender === 'F' ? [null, parent_ids[0]] : [parent_ids[0], null]
+  }
+}
+
+// card position is the centroid of its segment, the segment is drawn relative to it
+function setupPosition(d) {
+  if (d.depth === 0) {d.x = 0; d.y = 0; return}
+  const angle = (d.fan.start_angle + d.fan.end_angle) / 2
+  const radius = (d.fan.inner_radius + d.fan.outer_radius) / 2
+  d.x = radius * Math.sin(angle)
+  d.y = -radius * Math.cos(angle)
+}
+
+// text runs along the ring when the segment is wide enough, otherwise along the radius, never upside down
+export function fanTextRotation(fan) {
+  if (fan.inner_radius === 0) return 0
+  const angle = (fan.start_angle + fan.end_angle) / 2
+  const degrees = angle * 180 / Math.PI
+  const arc_length = (fan.end_angle - fan.start_angle) * (fan.inner_radius + fan.outer_radius) / 2
+  if (arc_length > fan.outer_radius - fan.inner_radius) return Math.cos(angle) < 0 ? degrees + 180 : degrees
+  return Math.sin(angle) < 0 ? degrees + 90 : degrees - 90
+}
+
+export function calculateFanDim(tree, padding) {
+  const points = tree.flatMap(d => segmentPoints(d.fan))
+  const x_extent = [Math.min(...points.map(p => p.x)), Math.max(...points.map(p => p.x))]
+  const y_extent = [Math.min(...points.map(p => p.y)), Math.max(...points.map(p => p.y))]
+  return {
+    width: x_extent[1] - x_extent[0] + padding, height: y_extent[1] - y_extent[0] + padding, x_off: -x_extent[0] + padding/2, y_off: -y_extent[0] + padding/2
+  }
+
+  // corners of the segment and the points where it crosses an axis
+  function segmentPoints({start_angle, end_angle, inner_radius, outer_radius}) {
+    const angles = [start_angle, end_angle]
+    for (let a = Math.ceil(start_angle / (Math.PI/2)) * Math.PI/2; a < end_angle; a += Math.PI/2) angles.push(a)
+    return angles.flatMap(a => [inner_radius, outer_radius].map(r => ({x: r * Math.sin(a), y: -r * Math.cos(a)})))
+  }
+}
@@ -1,15 +1,16 @@
 import d3 from "../d3.js"
+import {getParentTypeOf, getParentIdsOfType} from "./CalculateTree.parentTypes.js"
+import {getEvent} from "../CreateTree/events.js"
+import {compareDates} from "../CreateTree/dates.js"
 
-export function sortChildrenWithSpouses(children, datum, data) {
+// side is -1 when the spouses are right of the person, children of the first spouse are then on the left
+export function sortChildrenWithSpouses(children, datum, spouses=datum.rels.spouses || [], side=-1) {
   if (!datum.rels.children) return
-  const spouses = datum.rels.spouses || []
   return children.sort((a, b) => {
-    const a_p2 = otherParent(a, datum, data) || {}
-    const b_p2 = otherParent(b, datum, data) || {}
-    const a_i = spouses.indexOf(a_p2.id)
-    const b_i = spouses.indexOf(b_p2.id)
+    const a_i = spouses.indexOf(otherParentId(a, datum))
+    const b_i = spouses.indexOf(otherParentId(b, datum))
 
-    if (datum.data.gender === "M") return a_i - b_i
+    if (side < 0) return a_i - b_i
     else return b_i - a_i
   })
 }
@@ -24,8 +25,23 @@ export function sortAddNewChildren(children) {
   })
 }
 
-function otherParent(d, p1, data) {
-  return data.find(d0 => (d0.id !== p1.id) && ((d0.id === d.rels.mother) || (d0.id === d.rels.father)))
+// default sortChildrenFunction, children without a birth date keep their order after the dated ones
+export function sortChildrenByBirthDate(a, b) {
+  const a_birth = getEvent(a, 'birth')
+  const b_birth = getEvent(b, 'birth')
+  return compareDates(a_birth && a_birth.date, b_birth && b_birth.date)
+}
+
+function otherParentId(d, p1) {
+  return getParentIdsOfType(d, getParentTypeOf(d, p1.id)).find(id => id !== p1.id)
+}
+
+export function createDataIndex(data) {
+  const data_index = new Map()
+  data.forEach(d => {
+    if (!data_index.has(d.id)) data_index.set(d.id, d)  // same as data.find, first one wins on duplicate ids
+  })
+  return data_index
 }
 
 export function calculateEnterAndExitPositions(d, entering, exiting) {
@@ -160,7 +176,7 @@ export function setupSiblings({tree, data_stash, node_separation, sortChildrenFu
   }
 }
 
-export function handlePrivateCards({tree, data_stash, private_cards_config}) {
+export function handlePrivateCards({tree, data_index, private_cards_config}) {
   const private_persons = {}
   const condition = private_cards_config.condition
   if (!condition) return console.error('private_cards_config.condition is not set')
@@ -172,7 +188,7 @@ export function handlePrivateCards({tree, data_stash, private_cards_config}) {
   })
 
   function isPrivate(d_id) {
-    const parents_and_spouses_checked = []
+    const parents_and_spouses_checked = new Set()
     let is_private = false
     checkParentsAndSpouses(d_id)
     private_persons[d_id] = is_private
@@ -184,7 +200,7 @@ export function handlePrivateCards({tree, data_stash, private_cards_config}) {
         is_private = private_persons[d_id]
         return is_private
       }
-      const d = data_stash.find(d0 => d0.id === d_id)
+      const d = data_index.get(d_id)
       if (d._new_rel_data) return
       if (condition(d)) {
         is_private = true
@@ -194,8 +210,8 @@ export function handlePrivateCards({tree, data_stash, private_cards_config}) {
       const rels = d.rels;
       [rels.father, rels.mother, ...(rels.spouses || [])].forEach(d0_id => {
         if (!d0_id) return
-        if (parents_and_spouses_checked.includes(d0_id)) return
-        parents_and_spouses_checked.push(d0_id)
+        if (parents_and_spouses_checked.has(d0_id)) return
+        parents_and_spouses_checked.add(d0_id)
         checkParentsAndSpouses(d0_id)
       })
     }
@@ -203,7 +219,8 @@ export function handlePrivateCards({tree, data_stash, private_cards_config}) {
 }
 
 export function getMaxDepth(d_id, data_stash) {
-  const datum = data_stash.find(d => d.id === d_id)
+  const data_index = createDataIndex(data_stash)
+  const datum = data_index.get(d_id)
   const root_ancestry = d3.hierarchy(datum, hierarchyGetterParents)
   const root_progeny = d3.hierarchy(datum, hierarchyGetterChildren)
 
@@ -215,14 +232,14 @@ export function getMaxDepth(d_id, data_stash) {
 
   function hierarchyGetterChildren(d) {
     return [...(d.rels.children || [])]
-      .map(id => data_stash.find(d => d.id === id))
+      .map(id => data_index.get(id))
       .filter(d => d && !d._new_rel_data && !d.to_add)
   }
 
   function hierarchyGetterParents(d) {
     return [d.rels.father, d.rels.mother]
       .filter(d => d)
-      .map(id => data_stash.find(d => d.id === id))
+      .map(id => data_index.get(id))
       .filter(d => d && !d._new_rel_data && !d.to_add)
   }
 }
\ No newline at end of file
@@ -1,9 +1,14 @@
 import d3 from "../d3.js"
-import {sortChildrenWithSpouses, sortAddNewChildren, setupSiblings, handlePrivateCards} from "./CalculateTree.handlers.js"
-import {createNewPerson} from "../CreateTree/newPerson.js"
+import {sortChildrenWithSpouses, sortAddNewChildren, sortChildrenByBirthDate, setupSiblings, handlePrivateCards, createDataIndex} from "./CalculateTree.handlers.js"
+import {createNewPerson, getOppositeGender, orderParentIds} from "../CreateTree/newPerson.js"
 import {isAllRelativeDisplayed} from "../handlers/general.js"
 import {handleDuplicateSpouseToggle, handleDuplicateHierarchyProgeny} from "./CalculateTree.duplicatesProgeny.js"
 import {handleDuplicateHierarchyAncestry} from "./CalculateTree.duplicatesAncestry.js"
+import {getParentIds, getParentTypeOf, getParentIdsOfType, getAllParentIds, getAllChildIds, groupParents} from "./CalculateTree.parentTypes.js"
+import {getSortedSpouseIds} from "../CreateTree/partnerships.js"
+import {calculateFanPositions, calculateFanDim} from "./CalculateTree.fanChart.js"
+
+export const LAYOUTS = ['tree', 'fan', 'bowtie', 'register']
 
 export default function CalculateTree({
     data, main_id=null,
@@ -12,7 +17,7 @@ export default function CalculateTree({
     single_parent_empty_card=true,
     is_horizontal=false,
     one_level_rels=false,
-    sortChildrenFunction=undefined,
+    sortChildrenFunction=sortChildrenByBirthDate,
     sortSpousesFunction=undefined,
     ancestry_depth=undefined,
     progeny_depth=undefined,
@@ -20,12 +25,21 @@ export default function CalculateTree({
     modifyTreeHierarchy=undefined,
     private_cards_config=undefined,
     duplicate_branch_toggle=false,
-    on_toggle_one_close_others=true
+    on_toggle_one_close_others=true,
+    parent_set='biological',
+    data_index=undefined,
+    layout='tree',
+    fan_options=undefined
   }) {
   if (!data || !data.length) return {data: [], data_stash: [], dim: {width: 0, height: 0}, main_id: null}
+  if (layout === 'bowtie') is_horizontal = false  // ancestors are horizontal and descendants vertical
+  if (layout === 'register') {is_horizontal = false; ancestry_depth = 0}  // descendants only
   if (is_horizontal) [node_separation, level_separation] = [level_separation, node_separation]
+  if (!data_index) data_index = createDataIndex(data)
+  else if (single_parent_empty_card) data_index = new Map(data_index)  // "to add" persons are added to it, the index of the store stays as it is
   const data_stash = single_parent_empty_card ? createRelsToAdd(data) : data
-  const main = (main_id !== null && data_stash.find(d => d.id === main_id)) || data_stash[0]
+  const main = (main_id !== null && data_index.get(main_id)) || data_stash[0]
+  if (layout === 'fan') return calculateFanTree()
   const tree_children = calculateTreePositions(main, 'children', false)
   const tree_parents = calculateTreePositions(main, 'parents', true)
 
@@ -33,18 +47,39 @@ export default function CalculateTree({
   levelOutEachSide(tree_parents, tree_children)
   const tree = mergeSides(tree_parents, tree_children)
   setupChildrenAndParents({tree})
+  setupParentTypes({tree})
   setupSpouses({tree, node_separation})
-  if (show_siblings_of_main && !one_level_rels) setupSiblings({tree, data_stash, node_separation, sortChildrenFunction})
+  if (show_siblings_of_main && !one_level_rels && layout !== 'register') setupSiblings({tree, data_stash, node_separation, sortChildrenFunction})
   setupProgenyParentsPos({tree})
   nodePositioning({tree})
-  tree.forEach(d => d.all_rels_displayed = isAllRelativeDisplayed(d, tree))
-  if (private_cards_config) handlePrivateCards({tree, data_stash, private_cards_config})
+  if (layout === 'bowtie') bowtiePositioning({tree})
+  if (layout === 'register') registerPositioning({tree})
+  const tree_ids = new Set(tree.map(d => d.data.id))
+  tree.forEach(d => d.all_rels_displayed = isAllRelativeDisplayed(d, tree, tree_ids))
+  if (private_cards_config) handlePrivateCards({tree, data_index, private_cards_config})
   setupTid({tree})
   setupFromTo(tree)
   if (duplicate_branch_toggle) handleDuplicateSpouseToggle(tree)
   const dim = calculateTreeDim(tree, node_separation, level_separation)
 
-  return {data: tree, data_stash, dim, main_id: main.id, is_horizontal}
+  return {data: tree, data_stash, data_index, dim, main_id: main.id, is_horizontal, layout}
+
+  // ancestors only, see CalculateTree.fanChart.js
+  function calculateFanTree() {
+    data_stash.forEach(d => d.main = d === main)
+    const tree = calculateFanPositions({
+      main, data_index, parent_set,
+      ancestry_depth: one_level_rels ? 1 : ancestry_depth,
+      ...fan_options
+    })
+    const tree_ids = new Set(tree.map(d => d.data.id))
+    tree.forEach(d => d.all_rels_displayed = isAllRelativeDisplayed(d, tree, tree_ids))
+    if (private_cards_config) handlePrivateCards({tree, data_index, private_cards_config})
+    setupTid({tree})
+    const dim = calculateFanDim(tree, Math.min(node_separation, level_separation))
+
+    return {data: tree, data_stash, data_index, dim, main_id: main.id, is_horizontal: false, layout}
+  }
 
   function calculateTreePositions(datum, rt, is_ancestry) {
     const hierarchyGetter = rt === "children" ? hierarchyGetterChildren : hierarchyGetterParents
@@ -73,23 +108,24 @@ export default function CalculateTree({
 
     function hasCh(d) {return !!d.children}
     function sameParent(a, b) {return a.parent == b.parent}
-    function sameBothParents(a, b) {return (a.data.rels.father === b.data.rels.father) && (a.data.rels.mother === b.data.rels.mother)}
+    function sameBothParents(a, b) {return getParentIds(a.data, parent_set).join() === getParentIds(b.data, parent_set).join()}
     function someChildren(a, b) {return hasCh(a) || hasCh(b)}
     function hasSpouses(d) {return d.data.rels.spouses && d.data.rels.spouses.length > 0}
     function someSpouses(a, b) {return hasSpouses(a) || hasSpouses(b)}
 
     function hierarchyGetterChildren(d) {
-      const children = [...(d.rels.children || [])].map(id => data_stash.find(d => d.id === id))
+      const children = getAllChildIds(d, parent_set, data_index).map(id => data_index.get(id)).filter(d0 => d0)
       if (sortChildrenFunction) children.sort(sortChildrenFunction)  // first sort by custom function if provided
       sortAddNewChildren(children)  // then put new children at the end
       if (sortSpousesFunction) sortSpousesFunction(d, data_stash)
-      sortChildrenWithSpouses(children, d, data_stash)  // then sort by order of spouses
+      sortChildrenWithSpouses(children, d, getSpouseIds(d), getSpouseSide(d))  // then sort by order of spouses
       return children
     }
 
+    // bowtie splits the ancestors into a side for each parent of main, so like the fan chart it shows only parent_set parents
     function hierarchyGetterParents(d) {
-      return [d.rels.father, d.rels.mother]
-        .filter(d => d).map(id => data_stash.find(d => d.id === id))
+      const parent_ids = layout === 'bowtie' ? getParentIds(d, parent_set) : getAllParentIds(d, parent_set)
+      return parent_ids.map(id => data_index.get(id)).filter(d0 => d0)
     }
 
     function offsetOnPartners(a,b) {
@@ -118,15 +154,65 @@ export default function CalculateTree({
     })
   }
 
+  // paternal ancestors grow to the left and maternal to the right, the parents of main are on one row above main
+  function bowtiePositioning({tree}) {
+    const main_node = tree[0]
+    if (!main_node.parents) return
+    const ratio = level_separation / node_separation
+    const sides = main_node.parents.map((parent, i) => ({parent, side: getSide(parent, i), nodes: getAncestors(parent)}))
+    const lowest = Math.max(...sides.flatMap(({parent, nodes}) => nodes.map(d => (d.x - parent.x)*ratio)))
+    sides.forEach(({parent, side, nodes}) => {
+      const parent_x = parent.x
+      nodes.forEach(d => {
+        d.y = (d.x - parent_x)*ratio - level_separation - lowest
+        d.x = main_node.x + side*(d.depth - .5)*node_separation
+      })
+    })
+
+    function getSide(parent, i) {
+      if (main_node.parents.length === 1) return parent.data.id === main.rels.mother ? 1 : -1
+      return i < main_node.parents.length/2 ? -1 : 1
+    }
+
+    function getAncestors(d) {
+      return [d, ...(d.parents || []).flatMap(getAncestors)]
+    }
+  }
+
+  // outline of the descendants, every person of the bloodline has its own row indented by generation
+  // and spouses are on the same row to the right
+  function registerPositioning({tree}) {
+    const row_height = level_separation*.6
+    const indent = node_separation/2
+    let row = 0
+    positionNode(tree[0])
+
+    function positionNode(d) {
+      d.x = d.depth*indent
+      d.y = row*row_height
+      row++;
+      (d.spouses || []).forEach((spouse, i) => {
+        spouse.x = d.x + (i+1)*node_separation
+        spouse.y = d.y
+        spouse.sx = spouse.x - node_separation/2
+      });
+      (d.children || []).forEach(child => {
+        child.psx = d.x
+        child.psy = d.y
+        positionNode(child)
+      })
+    }
+  }
+
   function setupSpouses({tree, node_separation}) {
     for (let i = tree.length; i--;) {
       const d = tree[i]
       if (!d.is_ancestry && d.data.rels.spouses && d.data.rels.spouses.length > 0){
         if (one_level_rels && d.depth > 0) continue
-        const side = d.data.data.gender === "M" ? -1 : 1;  // female on right
+        const side = getSpouseSide(d.data)
         d.x += d.data.rels.spouses.length/2*node_separation*side;
-        d.data.rels.spouses.forEach((sp_id, i) => {
-          const spouse = {data: data_stash.find(d0 => d0.id === sp_id), added: true}
+        getSpouseIds(d.data).forEach((sp_id, i) => {
+          const spouse = {data: data_index.get(sp_id), added: true}
 
           spouse.x = d.x-(node_separation*(i+1))*side;
           spouse.y = d.y
@@ -139,17 +225,34 @@ export default function CalculateTree({
           tree.push(spouse)
         })
       }
-      if (d.parents && d.parents.length === 2) {
-        const p1 = d.parents[0],
-          p2 = d.parents[1],
-          midd = p1.x - (p1.x - p2.x)/2,
-          x = (d,sp) => midd + (node_separation/2)*(d.x < sp.x ? 1 : -1)
-
-        p2.x = x(p1, p2); p1.x = x(p2, p1)
+      if (d.parents) {
+        groupParents(d.parents).forEach(parents => {
+          if (parents.length !== 2) return
+          const p1 = parents[0],
+            p2 = parents[1],
+            midd = p1.x - (p1.x - p2.x)/2,
+            x = (d,sp) => midd + (node_separation/2)*(d.x < sp.x ? 1 : -1)
+
+          p2.x = x(p1, p2); p1.x = x(p2, p1)
+        })
       }
     }
   }
 
+  // spouses are ordered by partnership start date unless sortSpousesFunction is provided
+  function getSpouseIds(datum) {
+    if (sortSpousesFunction) return datum.rels.spouses || []
+    return getSortedSpouseIds(datum, id => data_index.get(id))
+  }
+
+  // -1 when the person is left of its spouses, that is when it is in the father slot of their children
+  function getSpouseSide(datum) {
+    const spouse = data_index.get(getSpouseIds(datum)[0])
+    if (!spouse) return -1
+    const children = (datum.rels.children || []).map(id => data_index.get(id)).filter(d => d)
+    return orderParentIds(datum, spouse, children)[0] === datum.id ? -1 : 1
+  }
+
   function setupProgenyParentsPos({tree}) {
     tree.forEach(d => {
       if (d.is_ancestry) return
@@ -157,7 +260,7 @@ export default function CalculateTree({
       if (d.added) return
       if (d.sibling) return
       const p1 = d.parent
-      const p2 = (p1.spouses || []).find(d0 => d0.data.id === d.data.rels.father || d0.data.id === d.data.rels.mother)
+      const p2 = (p1.spouses || []).find(d0 => getParentIdsOfType(d.data, d.parent_type).includes(d0.data.id))
       if (p1 && p2) {
         if (!p1.added && !p2.added) console.error('no added spouse', p1, p2)
         const added_spouse = p1.added ? p1 : p2
@@ -177,19 +280,26 @@ export default function CalculateTree({
   }
 
   function setupChildrenAndParents({tree}) {
-    tree.forEach(d0 => {
-      delete d0.children
-      tree.forEach(d1 => {
-        if (d1.parent === d0) {
-          if (d1.is_ancestry) {
-            if (!d0.parents) d0.parents = []
-            d0.parents.push(d1)
-          } else {
-            if (!d0.children) d0.children = []
-            d0.children.push(d1)
-          }
-        }
-      })
+    tree.forEach(d => delete d.children)
+    tree.forEach(d1 => {
+      const d0 = d1.parent
+      if (!d0) return
+      if (d1.is_ancestry) {
+        if (!d0.parents) d0.parents = []
+        d0.parents.push(d1)
+      } else {
+        if (!d0.children) d0.children = []
+        d0.children.push(d1)
+      }
+    })
+  }
+
+  // parent_type is the type of the relation to the child on the ancestry side and to the parent on the progeny side
+  function setupParentTypes({tree}) {
+    tree.forEach(d => {
+      if (!d.parent || d.sibling) return
+      const parent_type = d.is_ancestry ? getParentTypeOf(d.parent.data, d.data.id) : getParentTypeOf(d.data, d.parent.data.id)
+      if (parent_type) d.parent_type = parent_type
     })
   }
 
@@ -208,18 +318,19 @@ export default function CalculateTree({
       const d = data[i];
       if (d.rels.children && d.rels.children.length > 0) {
         if (!d.rels.spouses) d.rels.spouses = []
-        const is_father = d.data.gender === "M"
         let to_add_spouse
 
         d.rels.children.forEach(d0 => {
-          const child = data.find(d1 => d1.id === d0)
-          if (child.rels[is_father ? 'father' : 'mother'] !== d.id) return
-          if (child.rels[!is_father ? 'father' : 'mother']) return
+          const child = data_index.get(d0)
+          const slot = child.rels.father === d.id ? 'father' : child.rels.mother === d.id ? 'mother' : null
+          if (!slot) return
+          const other_slot = slot === 'father' ? 'mother' : 'father'
+          if (child.rels[other_slot]) return
           if (!to_add_spouse) {
             to_add_spouse = findOrCreateToAddSpouse(d)
           }
           to_add_spouse.rels.children.push(child.id)
-          child.rels[!is_father ? 'father' : 'mother'] = to_add_spouse.id
+          child.rels[other_slot] = to_add_spouse.id
         })
       }
     }
@@ -227,17 +338,18 @@ export default function CalculateTree({
     return data
 
     function findOrCreateToAddSpouse(d) {
-      const spouses = d.rels.spouses.map(sp_id => data.find(d0 => d0.id === sp_id))
+      const spouses = d.rels.spouses.map(sp_id => data_index.get(sp_id))
       return spouses.find(sp => sp.to_add) || createToAddSpouse(d)
     }
 
     function createToAddSpouse(d) {
       const spouse = createNewPerson({
-        data: {gender: d.data.gender === "M" ? "F" : "M"},
+        data: {gender: getOppositeGender(d.data.gender)},
         rels: {spouses: [d.id], children: []}
       });
       spouse.to_add = true;
       to_add_spouses.push(spouse);
+      data_index.set(spouse.id, spouse)
       d.rels.spouses.push(spouse.id)
       return spouse
     }
@@ -267,9 +379,12 @@ export default function CalculateTree({
     addSpouses(root)
 
     function addSpouses(d) {
-      if (d.children && d.children.length === 2) {
-        d.children[0]._spouse = d.children[1]
-        d.children[1]._spouse = d.children[0]
+      if (d.children) {
+        groupParents(d.children, parent => getParentTypeOf(d.data, parent.data.id)).forEach(parents => {
+          if (parents.length !== 2) return
+          parents[0]._spouse = parents[1]
+          parents[1]._spouse = parents[0]
+        })
       }
       if (d.children) d.children.forEach(d0 => addSpouses(d0))
     }
@@ -293,7 +408,7 @@ export default function CalculateTree({
         }
         if (d.sibling) return
         const p1 = d.parent
-        const p2 = (d.parent.spouses || []).find(d0 => d0.data.id === d.data.rels.father || d0.data.id === d.data.rels.mother)
+        const p2 = (d.parent.spouses || []).find(d0 => getParentIdsOfType(d.data, d.parent_type).includes(d0.data.id))
 
         d.from = [p1]
         if (p2) d.from.push(p2)
@@ -310,23 +425,21 @@ export default function CalculateTree({
   
   function handleDuplicateHierarchy(root, data_stash, is_ancestry) {
     if (is_ancestry) handleDuplicateHierarchyAncestry(root, on_toggle_one_close_others)
-    else handleDuplicateHierarchyProgeny(root, data_stash, on_toggle_one_close_others)
+    else handleDuplicateHierarchyProgeny(root, data_index, on_toggle_one_close_others)
   }
 }
 
 function setupTid({tree}) {
-  const ids = []
+  const tree_by_id = new Map()
   tree.forEach(d => {
-    if (ids.includes(d.data.id)) {
-      const duplicates = tree.filter(d0 => d0.data.id === d.data.id)
-      duplicates.forEach((d0, i) => {
-        d0.tid = `${d.data.id}--x${i+1}`
-        d0.duplicate = duplicates.length
-        ids.push(d.data.id)
-      })
-    } else {
-      d.tid = d.data.id
-      ids.push(d.data.id)
-    }
+    if (!tree_by_id.has(d.data.id)) tree_by_id.set(d.data.id, [])
+    tree_by_id.get(d.data.id).push(d)
+  })
+  tree_by_id.forEach((duplicates, id) => {
+    if (duplicates.length === 1) return duplicates[0].tid = id
+    duplicates.forEach((d0, i) => {
+      d0.tid = `${id}--x${i+1}`
+      d0.duplicate = duplicates.length
+    })
   })
 }
\ No newline at end of file
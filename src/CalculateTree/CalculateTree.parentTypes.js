@@ -0,0 +1,64 @@
+// non biological parents are stored in rels as arrays of ids, on the child and on the parent side
+export const PARENT_TYPES = {
+  adoptive: {parents: 'adoptive_parents', children: 'adopted_children', parent_kinship: 'adoptive ', child_kinship: 'adopted '},
+  step: {parents: 'step_parents', children: 'step_children', parent_kinship: 'step-', child_kinship: 'step-'},
+  foster: {parents: 'foster_parents', children: 'foster_children', parent_kinship: 'foster ', child_kinship: 'foster '},
+}
+
+// parent_type of datum when parent_set drives the layout, null for biological parents
+export function getParentType(datum, parent_set) {
+  const parent_type = PARENT_TYPES[parent_set]
+  if (!parent_type) return null
+  return (datum.rels[parent_type.parents] || []).length > 0 ? parent_set : null
+}
+
+export function getParentIds(datum, parent_set) {
+  const parent_type = getParentType(datum, parent_set)
+  if (parent_type) return datum.rels[PARENT_TYPES[parent_type].parents].slice(0)
+  return [datum.rels.father, datum.rels.mother].filter(id => id)
+}
+
+// children whose displayed parents include datum
+export function getChildIds(datum, parent_set, data_index) {
+  const parent_type = PARENT_TYPES[parent_set]
+  if (!parent_type) return [...(datum.rels.children || [])]
+  const biological_children = (datum.rels.children || []).filter(id => {
+    const child = data_index.get(id)
+    return child && !getParentType(child, parent_set)
+  })
+  return [...biological_children, ...(datum.rels[parent_type.children] || [])]
+}
+
+// type of the relation between child and parent, null for biological parents
+export function getParentTypeOf(child, parent_id) {
+  if (child.rels.father === parent_id || child.rels.mother === parent_id) return null
+  return Object.keys(PARENT_TYPES).find(k => (child.rels[PARENT_TYPES[k].parents] || []).includes(parent_id)) || null
+}
+
+export function getParentIdsOfType(datum, parent_type) {
+  if (!parent_type) return [datum.rels.father, datum.rels.mother].filter(id => id)
+  return (datum.rels[PARENT_TYPES[parent_type].parents] || []).slice(0)
+}
+
+// parents of every type, the ones of parent_set first
+export function getAllParentIds(datum, parent_set) {
+  const ids = [null, ...Object.keys(PARENT_TYPES)].flatMap(parent_type => getParentIdsOfType(datum, parent_type))
+  return [...new Set([...getParentIds(datum, parent_set), ...ids])]
+}
+
+// children of every type, the ones whose parent_set parents include datum first
+export function getAllChildIds(datum, parent_set, data_index) {
+  const ids = Object.values(PARENT_TYPES).flatMap(({children}) => datum.rels[children] || [])
+  return [...new Set([...getChildIds(datum, parent_set, data_index), ...(datum.rels.children || []), ...ids])]
+}
+
+// parents in the tree grouped by parent_type, each group is linked to the child separately
+export function groupParents(parents, getParentType=d => d.parent_type) {
+  const groups = new Map()
+  parents.forEach(d => {
+    const parent_type = getParentType(d) || null
+    if (!groups.has(parent_type)) groups.set(parent_type, [])
+    groups.get(parent_type).push(d)
+  })
+  return [...groups.values()]
+}
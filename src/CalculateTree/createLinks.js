@@ -1,4 +1,6 @@
-export function createLinks({d, tree, is_horizontal=false}) {
+import {getParentIdsOfType, groupParents} from "./CalculateTree.parentTypes.js"
+
+export function createLinks({d, tree, is_horizontal=false, layout='tree'}) {
   const links = [];
   // d.spouses is always added to non-ancestry side for main blodline nodes
   // d._spouse is added to ancestry side
@@ -10,25 +12,30 @@ export function createLinks({d, tree, is_horizontal=false}) {
 
   function handleAncestrySide({d}) {
     if (!d.parents) return
-    const p1 = d.parents[0]
-    const p2 = d.parents[1] || p1
-
-    const p = {x: getMid(p1, p2, 'x'), y: getMid(p1, p2, 'y')}
-
-    links.push({
-      d: Link(d, p),
-      _d: () => {
-        const _d = {x: d.x, y: d.y},
-          _p = {x: d.x, y: d.y}
-        return Link(_d, _p)
-      },
-      curve: true, 
-      id: linkId(d, p1, p2), 
-      depth: d.depth+1, 
-      is_ancestry: true,
-      source: d,
-      target: [p1, p2]
+    groupParents(d.parents).forEach(parents => {
+      for (let i = 0; i < parents.length; i += 2) addAncestryLink(parents[i], parents[i+1] || parents[i])
     })
+
+    function addAncestryLink(p1, p2) {
+      const p = {x: getMid(p1, p2, 'x'), y: getMid(p1, p2, 'y')}
+      const horizontal = layout === 'bowtie' ? d.depth > 0 : is_horizontal  // bowtie sides grow horizontally from the parents of main
+
+      links.push({
+        d: Link(d, p, horizontal),
+        _d: () => {
+          const _d = {x: d.x, y: d.y},
+            _p = {x: d.x, y: d.y}
+          return Link(_d, _p)
+        },
+        curve: true, 
+        id: linkId(d, p1, p2), 
+        depth: d.depth+1, 
+        is_ancestry: true,
+        parent_type: p1.parent_type,
+        source: d,
+        target: [p1, p2]
+      })
+    }
   }
 
 
@@ -39,14 +46,15 @@ export function createLinks({d, tree, is_horizontal=false}) {
       const other_parent = otherParent(child, d) || d
       const sx = other_parent.sx
 
-      const parent_pos = !is_horizontal ? {x: sx, y: d.y} : {x: d.x, y: sx}
+      const parent_pos = layout === 'register' ? {x: d.x, y: d.y} : !is_horizontal ? {x: sx, y: d.y} : {x: d.x, y: sx}
       links.push({
-        d: Link(child, parent_pos),
+        d: layout === 'register' ? LinkRegister(child, parent_pos) : Link(child, parent_pos),
         _d: () => Link(parent_pos, {x: _or(parent_pos, 'x'), y: _or(parent_pos, 'y')}),
         curve: true,
         id: linkId(child, d, other_parent),
         depth: d.depth+1,
         is_ancestry: false,
+        parent_type: child.parent_type,
         source: [d, other_parent],
         target: child
       })
@@ -89,8 +97,8 @@ export function createLinks({d, tree, is_horizontal=false}) {
    return d.hasOwnProperty('_'+k) ? d['_'+k] : d[k]
   }
 
-  function Link(d, p) {
-    return is_horizontal ? LinkHorizontal(d, p) : LinkVertical(d, p)
+  function Link(d, p, horizontal=is_horizontal) {
+    return horizontal ? LinkHorizontal(d, p) : LinkVertical(d, p)
   }
 
   function LinkVertical(d, p) {
@@ -117,12 +125,25 @@ export function createLinks({d, tree, is_horizontal=false}) {
     ]
   }
 
+  // along the row of the child to the column of the parent, children of one parent share the vertical line
+  function LinkRegister(d, p) {
+    return [
+      [d.x, d.y],
+      [p.x, d.y],
+      [p.x, d.y],
+      [p.x, d.y],
+      [p.x, d.y],
+      [p.x, p.y],
+    ]
+  }
+
   function linkId(...args) {
     return args.map(d => d.tid).sort().join(", ")  // make unique id
   }
 
   function otherParent(child, p1) {
-    const p2 = (p1.spouses || []).find(d => d.data.id === child.data.rels.mother || d.data.id === child.data.rels.father)
+    const parent_ids = getParentIdsOfType(child.data, child.parent_type)
+    const p2 = (p1.spouses || []).find(d => parent_ids.includes(d.data.id))
     return p2
   }
 }
@@ -1,7 +1,9 @@
 import d3 from "../d3.js"
 import f3 from "../index.js"
 import {processCardDisplay} from "./utils.js"
+import {formatName} from "../CreateTree/names.js"
 import {pathToMain} from "../CalculateTree/createLinks.js"
+import {groupPlausibilityProblems} from "../CreateTree/plausibility.js"
 
 CardHtmlWrapper.is_html = true
 export default function CardHtmlWrapper(...args) { return new CardHtml(...args) }
@@ -11,7 +13,8 @@ function CardHtml(cont, store) {
   this.cont = cont
   this.store = store
   this.getCard = null
-  this.card_display = [d => `${d.data["first name"]} ${d.data["last name"]}`]
+  this.name_display_rule = 'default'
+  this.card_display = [d => formatName(d, this.name_display_rule)]
   this.cardImageField = 'avatar'
   this.onCardClick = this.onCardClickDefault
   this.style = 'default'
@@ -19,6 +22,8 @@ function CardHtml(cont, store) {
   this.onCardUpdate = null
   this.card_dim = {}
   this.cardInnerHtmlCreator = null
+  this.plausibility_check = null
+  this.source_badge = false
 
   this.init()
 
@@ -42,7 +47,10 @@ CardHtml.prototype.init = function() {
     cardInnerHtmlCreator: this.cardInnerHtmlCreator,
     duplicate_branch_toggle: this.store.state.duplicate_branch_toggle,
     onCardMouseenter: this.onCardMouseenter ? this.onCardMouseenter.bind(this) : null,
-    onCardMouseleave: this.onCardMouseleave ? this.onCardMouseleave.bind(this) : null
+    onCardMouseleave: this.onCardMouseleave ? this.onCardMouseleave.bind(this) : null,
+    plausibility_problems: this.plausibility_check ? groupPlausibilityProblems(this.store.checkPlausibility(this.plausibility_check)) : null,
+    onPlausibilityBadgeClick: this.plausibility_check ? this.plausibility_check.onBadgeClick : null,
+    source_badge: this.source_badge
   })
 }
 
@@ -52,6 +60,13 @@ CardHtml.prototype.setCardDisplay = function(card_display) {
   return this
 }
 
+// used by the default card_display, see NAME_DISPLAY_RULES
+CardHtml.prototype.setNameDisplayRule = function(name_display_rule) {
+  this.name_display_rule = name_display_rule
+
+  return this
+}
+
 CardHtml.prototype.setCardImageField = function(cardImageField) {
   this.cardImageField = cardImageField
   return this
@@ -122,6 +137,19 @@ CardHtml.prototype.setCardInnerHtmlCreator = function(cardInnerHtmlCreator) {
   return this
 }
 
+// options of checkPlausibility and onBadgeClick(e, d, problems), false turns the check off
+CardHtml.prototype.setPlausibilityCheck = function(plausibility_check) {
+  this.plausibility_check = plausibility_check ? (plausibility_check === true ? {} : plausibility_check) : null
+
+  return this
+}
+
+CardHtml.prototype.setSourceBadge = function(source_badge) {
+  this.source_badge = source_badge
+
+  return this
+}
+
 CardHtml.prototype.setOnHoverPathToMain = function() {
   this.onCardMouseenter = this.onEnterPathToMain.bind(this)
   this.onCardMouseleave = this.onLeavePathToMain.bind(this)
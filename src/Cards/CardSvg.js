@@ -2,6 +2,7 @@ import d3 from "../d3.js"
 import f3 from "../index.js"
 import {updateCardSvgDefs} from "../view/elements/Card.defs.js"
 import {processCardDisplay} from "./utils.js"
+import {formatName} from "../CreateTree/names.js"
 
 CardSvgWrapper.is_html = false
 export default function CardSvgWrapper(...args) { return new CardSvg(...args) }
@@ -12,7 +13,8 @@ function CardSvg(cont, store) {
   this.svg = null
   this.getCard = null
   this.card_dim = {w:220,h:70,text_x:75,text_y:15,img_w:60,img_h:60,img_x:5,img_y:5}
-  this.card_display = [d => `${d.data["first name"]} ${d.data["last name"]}`]
+  this.name_display_rule = 'default'
+  this.card_display = [d => formatName(d, this.name_display_rule)]
   this.mini_tree = true
   this.link_break = false
   this.onCardClick = this.onCardClickDefault.bind(this)
@@ -44,6 +46,13 @@ CardSvg.prototype.setCardDisplay = function(card_display) {
   return this
 }
 
+// used by the default card_display, see NAME_DISPLAY_RULES
+CardSvg.prototype.setNameDisplayRule = function(name_display_rule) {
+  this.name_display_rule = name_display_rule
+
+  return this
+}
+
 CardSvg.prototype.setCardDim = function(card_dim) {
   if (typeof card_dim !== 'object') {
     console.error('card_dim must be an object')
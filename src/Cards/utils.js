@@ -1,3 +1,7 @@
+import {getEventValue} from "../CreateTree/events.js"
+import {formatDate} from "../CreateTree/dates.js"
+import {formatName} from "../CreateTree/names.js"
+
 export function processCardDisplay(card_display) {
   const card_display_arr = []
   if (Array.isArray(card_display)) {
@@ -5,16 +9,31 @@ export function processCardDisplay(card_display) {
       if (typeof d === 'function') {
         card_display_arr.push(d)
       } else if (typeof d === 'string') {
-        card_display_arr.push(d1 => d1.data[d])
+        card_display_arr.push(d1 => getDisplayValue(d1, d))
       } else if (Array.isArray(d)) {
-        card_display_arr.push(d1 => d.map(d2 => d1.data[d2]).join(' '))
+        card_display_arr.push(d1 => d.map(d2 => getDisplayValue(d1, d2)).join(' '))
       }
     })
   } else if (typeof card_display === 'function') {
     card_display_arr.push(card_display)
   } else if (typeof card_display === 'string') {
-    card_display_arr.push(d1 => d1.data[card_display])
+    card_display_arr.push(d1 => getDisplayValue(d1, card_display))
   }
   return card_display_arr
 }
 
+// data field, or event value like "birth year" or "death place"
+export function getDisplayValue(datum, key) {
+  if (datum.data[key] !== undefined) return datum.data[key]
+  return getEventValue(datum, key)
+}
+
+// card_display item showing a date field or event date in readable form, e.g. formatDateDisplay('birthday')
+export function formatDateDisplay(key, options) {
+  return d => formatDate(getDisplayValue(d, key), options)
+}
+
+// card_display item showing the name by a display rule, e.g. nameDisplay('surname_first')
+export function nameDisplay(rule) {
+  return d => formatName(d, rule)
+}
@@ -1,4 +1,4 @@
-import { createNewPerson } from "./newPerson.js"
+import { createNewPerson, getOppositeGender, orderParentIds } from "./newPerson.js"
 import { handleLinkRel } from "./addRelative.linkRel.js"
 
 export default (...args) => { return new AddRelative(...args) }
@@ -55,7 +55,7 @@ AddRelative.prototype.activate = function(datum) {
       data.forEach(d => {
         const rd = d._new_rel_data
         if (!rd) return
-        if (rd.rel_type === 'spouse') d.data.gender = d.data.gender === 'M' ? 'F' : 'M'
+        if (rd.rel_type === 'spouse') d.data.gender = getOppositeGender(gender_stash)
         if (['son', 'daughter'].includes(rd.rel_type)) {
           [d.rels.father, d.rels.mother] = [d.rels.mother, d.rels.father]
         }
@@ -172,8 +172,7 @@ function addDatumRelsPlaceholders(datum, store_data, addRelLabels) {
     })
   }
 
-  const spouse_gender = datum.data.gender === "M" ? "F" : "M"
-  const new_spouse = createNewPerson({data: {gender: spouse_gender}, rels: {spouses: [datum.id]}})
+  const new_spouse = createNewPerson({data: {gender: getOppositeGender(datum.data.gender)}, rels: {spouses: [datum.id]}})
   new_spouse._new_rel_data = {rel_type: "spouse", label: addRelLabels.spouse, rel_id: datum.id}
   datum.rels.spouses.push(new_spouse.id)
   store_data.push(new_spouse)
@@ -181,8 +180,7 @@ function addDatumRelsPlaceholders(datum, store_data, addRelLabels) {
   if (!datum.rels.children) datum.rels.children = []
   datum.rels.spouses.forEach(spouse_id => {
     const spouse = store_data.find(d => d.id === spouse_id)
-    const mother_id = datum.data.gender === "M" ? spouse.id : datum.id
-    const father_id = datum.data.gender === "F" ? spouse.id : datum.id
+    const [father_id, mother_id] = orderParentIds(datum, spouse, store_data)
     if (!spouse.rels.children) spouse.rels.children = []
     
     const new_son = createNewPerson({data: {gender: "M"}, rels: {father: father_id, mother: mother_id}})
@@ -1,3 +1,5 @@
+import {renamePartnershipId, getPartnership, setPartnership} from "./partnerships.js"
+
 export function handleLinkRel(updated_datum, link_rel_id, store_data) {
   const new_rel_id = updated_datum.id
 
@@ -31,6 +33,13 @@ export function handleLinkRel(updated_datum, link_rel_id, store_data) {
   if (new_rel.rels.father) link_rel.rels.father = new_rel.rels.father
   if (new_rel.rels.mother) link_rel.rels.mother = new_rel.rels.mother
 
+  renamePartnershipId(store_data, new_rel_id, link_rel_id)
+  Object.keys(new_rel.partnerships || {}).forEach(sp_id => {
+    const spouse = store_data.find(d => d.id === sp_id)
+    if (!spouse || getPartnership(link_rel, spouse)) return
+    setPartnership(link_rel, spouse, new_rel.partnerships[sp_id])
+  })
+
   store_data.splice(store_data.findIndex(d => d.id === new_rel_id), 1)
 }
 
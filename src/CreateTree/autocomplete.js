@@ -1,6 +1,7 @@
 import d3 from '../d3.js'
 import {personSvgIcon, chevronDownSvgIcon, linkOffSvgIcon} from '../view/elements/Card.icons.js'
 import { checkIfConnectedToFirstPerson } from './checkPersonConnection.js'
+import {matchTexts, highlightText, getSearchTexts} from './search.js'
 
 export default function(...args) { return new Autocomplete(...args) }
 
@@ -9,6 +10,7 @@ function Autocomplete(cont, onSelect) {
   this.autocomplete_cont = null
   this.options = []
   this.onSelect = onSelect
+  this.search_fields = []
 
   this.init()
 }
@@ -69,24 +71,27 @@ Autocomplete.prototype.create = function() {
   function activateDropdown() {
     search_cont.classed("active", true)
     const search_input_value = search_input.property("value")
-    const filtered_options = self.options.filter(d => d.label.toLowerCase().includes(search_input_value.toLowerCase()))
+    const filtered_options = self.options.filter(setMatch)
     filtered_options.forEach(setHtmlLabel)
-    filtered_options.sort(sortByLabel)
+    filtered_options.sort(sortByScoreAndLabel)
     updateDropdown(filtered_options)
 
+    function setMatch(d) {
+      const texts = [d.label, ...(d.search_texts || []).filter(text => text !== d.label)]
+      const match = matchTexts(search_input_value, texts)
+      if (match) d.match = {score: match.score, matches: match.matches.map(m => ({text: texts[m.index], ranges: m.ranges}))}
+      return !!match
+    }
+
     function setHtmlLabel(d) {
-      const index = d.label.toLowerCase().indexOf(search_input_value.toLowerCase())
-      if (index !== -1) d.label_html = itemLabel()
-      else d.label_html = d.label
-
-      function itemLabel() {
-        return d.label.substring(0, index) 
-          + '<strong>' + d.label.substring(index, index + search_input_value.length) 
-          + '</strong>' + d.label.substring(index + search_input_value.length)
-      }
+      const label_match = d.match.matches.find(m => m.text === d.label)
+      const other_matches = d.match.matches.filter(m => m.text !== d.label)
+      d.label_html = label_match ? highlightText(d.label, label_match.ranges) : d.label
+      if (other_matches.length > 0) d.label_html += ` <i>(${other_matches.map(m => highlightText(m.text, m.ranges)).join(', ')})</i>`
     }
 
-    function sortByLabel(a, b) {
+    function sortByScoreAndLabel(a, b) {
+      if (a.match.score !== b.match.score) return b.match.score - a.match.score
       if (a.label < b.label) return -1
       else if (a.label > b.label) return 1
       else return 0
@@ -162,6 +167,7 @@ Autocomplete.prototype.setOptionsGetterPerson = function(getData, getLabel) {
       options.push({
         label: getLabel(d),
         value: d.id,
+        search_texts: getSearchTexts(d, this.search_fields),
         optionHtml: optionHtml(d)
       })
     })
@@ -187,6 +193,12 @@ Autocomplete.prototype.setOptionsGetterPerson = function(getData, getLabel) {
   }
 }
 
+// data field ids, event display keys like "birth place" or functions d => text that are searched next to all names
+Autocomplete.prototype.setSearchFields = function(search_fields) {
+  this.search_fields = search_fields
+  return this
+}
+
 Autocomplete.prototype.destroy = function() {
   this.autocomplete_cont.remove()
 }
\ No newline at end of file
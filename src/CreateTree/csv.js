@@ -0,0 +1,140 @@
+import {createNewPerson} from "./newPerson.js"
+
+const REL_COLUMNS = {id: 'id', father: 'father', mother: 'mother', spouses: 'spouses'}
+
+export function csvToData(csv_text, {columns={}, delimiter=',', list_delimiter=';'} = {}) {
+  const report = {missing_ids: [], duplicate_ids: []}
+  const [header, ...rows] = parseCsv(csv_text, delimiter)
+  if (!header) return {data: [], report}
+  const rel_columns = Object.assign({}, REL_COLUMNS, columns)
+  const fields = columns.fields || getDefaultFields(header, rel_columns)
+  const col_index = header.reduce((acc, h, i) => {acc[h.trim()] = i; return acc}, {})
+  const persons = {}
+  const data = []
+  const row_rels = []
+
+  rows.forEach((row, i) => {
+    const row_num = i+2  // header is the first row
+    const id = getCell(row, rel_columns.id)
+    if (id && persons[id]) return report.duplicate_ids.push({row: row_num, id})
+
+    const datum = createNewPerson({data: {}, rels: {}})
+    if (id) datum.id = id
+    Object.keys(fields).forEach(field_id => {
+      const value = getCell(row, fields[field_id])
+      if (value) datum.data[field_id] = value
+    })
+    persons[datum.id] = datum
+    data.push(datum)
+    row_rels.push({datum, row, row_num})
+  })
+
+  row_rels.forEach(({datum, row, row_num}) => {
+    ['father', 'mother'].forEach(rel_type => {
+      const parent_id = getCell(row, rel_columns[rel_type])
+      if (!parent_id) return
+      const parent = persons[parent_id]
+      if (!parent) return report.missing_ids.push({row: row_num, column: rel_columns[rel_type], id: parent_id})
+      datum.rels[rel_type] = parent.id
+      addUnique(parent.rels, 'children', datum.id)
+    })
+    const spouse_ids = getCell(row, rel_columns.spouses).split(list_delimiter).map(id => id.trim()).filter(id => id)
+    spouse_ids.forEach(spouse_id => {
+      const spouse = persons[spouse_id]
+      if (!spouse) return report.missing_ids.push({row: row_num, column: rel_columns.spouses, id: spouse_id})
+      addUnique(datum.rels, 'spouses', spouse.id)
+      addUnique(spouse.rels, 'spouses', datum.id)
+    })
+  })
+
+  return {data, report}
+
+  function getCell(row, column) {
+    if (!column || !col_index.hasOwnProperty(column)) return ''
+    return (row[col_index[column]] || '').trim()
+  }
+}
+
+export function dataToCsv(data, {columns={}, delimiter=',', list_delimiter=';'} = {}) {
+  const rel_columns = Object.assign({}, REL_COLUMNS, columns)
+  const fields = columns.fields || getDefaultFieldsFromData(data)
+  const field_ids = Object.keys(fields)
+  const header = [rel_columns.id, rel_columns.father, rel_columns.mother, rel_columns.spouses, ...field_ids.map(k => fields[k])]
+  const rows = data.map(d => [
+    d.id,
+    d.rels.father || '',
+    d.rels.mother || '',
+    (d.rels.spouses || []).join(list_delimiter),
+    ...field_ids.map(k => d.data[k] || '')
+  ])
+
+  return [header, ...rows].map(row => row.map(v => escapeCsvValue(v, delimiter)).join(delimiter)).join('\n')
+}
+
+function getDefaultFields(header, rel_columns) {
+  const rel_headers = Object.values(rel_columns)
+  return header.map(h => h.trim()).filter(h => h && !rel_headers.includes(h)).reduce((acc, h) => {acc[h] = h; return acc}, {})
+}
+
+function getDefaultFieldsFromData(data) {
+  const fields = {}
+  data.forEach(d => Object.keys(d.data).forEach(k => {
+    if (k.includes('__ref__')) return
+    fields[k] = k
+  }))
+  return fields
+}
+
+function parseCsv(csv_text, delimiter) {
+  const rows = []
+  let row = []
+  let value = ''
+  let in_quotes = false
+  let field_start = true  // a quote opens quoting only at the start of a field, 5'10" stays as it is
+  const text = csv_text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    const is_field_start = field_start
+    field_start = false
+    if (in_quotes) {
+      if (c === '"' && text[i+1] === '"') {value += '"'; i++}
+      else if (c === '"') in_quotes = false
+      else value += c
+    } else if (c === '"' && is_field_start) {
+      in_quotes = true
+    } else if (c === delimiter) {
+      row.push(value)
+      value = ''
+      field_start = true
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i+1] === '\n') i++
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+      field_start = true
+    } else {
+      value += c
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value)
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(v => v.trim()))
+}
+
+function escapeCsvValue(value, delimiter) {
+  value = String(value)
+  if (value.includes('"') || value.includes(delimiter) || value.includes('\n') || value.includes('\r')) {
+    return `"${value.replace(/"/g, '""')}"`
+  }
+  return value
+}
+
+function addUnique(rels, key, id) {
+  if (!rels[key]) rels[key] = []
+  if (!rels[key].includes(id)) rels[key].push(id)
+}
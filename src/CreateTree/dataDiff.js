@@ -0,0 +1,252 @@
+import {getParentSlot} from "./newPerson.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+
+export function diffData(prev_data, next_data) {
+  const prev_index = createIndex(prev_data)
+  const next_index = createIndex(next_data)
+  const added = []
+  const removed = []
+  const changed = []
+
+  prev_data.forEach((d, index) => {
+    if (!next_index.has(d.id)) removed.push({index, datum: copy(d)})
+  })
+  next_data.forEach((d, index) => {
+    const prev_d = prev_index.get(d.id)
+    if (!prev_d) return added.push({index, datum: copy(d)})
+    const change = diffDatum(prev_d, d)
+    if (change) changed.push(change)
+  })
+
+  const patch = {added, removed, changed}
+  const prev_ids = prev_data.filter(d => next_index.has(d.id)).map(d => d.id)
+  const next_ids = next_data.filter(d => prev_index.has(d.id)).map(d => d.id)
+  if (prev_ids.some((id, i) => id !== next_ids[i])) patch.order = [prev_data.map(d => d.id), next_data.map(d => d.id)]
+
+  return patch
+}
+
+// the same patch as diffData(prev_data, cleanupDataJson(copy of next_data)) for changes of the persons with ids,
+// only they, their relatives and added or removed persons are copied and compared
+export function diffDataOf(prev_data, next_data, ids) {
+  const prev_index = createIndex(prev_data)
+  const next_index = createIndex(next_data)
+  const placeholder_ids = new Set(next_data.filter(isPlaceholder).map(d => d.id))
+  const next_positions = new Map(next_data.filter(d => !isPlaceholder(d)).map((d, i) => [d.id, i]))
+  const touched = new Set()
+  ids.forEach(addTouched)
+  next_positions.forEach((_, id) => {
+    if (!prev_index.has(id)) addTouched(id)
+  })
+  prev_data.forEach(d => {
+    if (!next_positions.has(d.id)) addTouched(d.id)
+  })
+
+  const added = []
+  const removed = []
+  const changed = []
+  touched.forEach(id => {
+    const prev_d = prev_index.get(id)
+    const next_d = next_positions.has(id) ? cleanCopy(next_index.get(id)) : null
+    if (!prev_d && next_d) added.push({index: next_positions.get(id), datum: next_d})
+    else if (prev_d && !next_d) removed.push({index: prev_data.indexOf(prev_d), datum: copy(prev_d)})
+    else if (prev_d && next_d) {
+      const change = diffDatum(prev_d, next_d)
+      if (change) changed.push(change)
+    }
+  })
+
+  return {added, removed, changed}
+
+  function addTouched(id) {
+    touched.add(id);
+    [prev_index.get(id), next_index.get(id)].forEach(d => {
+      if (d) getRelIds(d).forEach(rel_id => touched.add(rel_id))
+    })
+  }
+
+  // placeholder persons are removed from clean data together with the references to them
+  function cleanCopy(d) {
+    const datum = copy(d)
+    Object.keys(datum.rels).forEach(k => {
+      if (Array.isArray(datum.rels[k])) datum.rels[k] = datum.rels[k].filter(id => !placeholder_ids.has(id))
+      else if (placeholder_ids.has(datum.rels[k])) delete datum.rels[k]
+    })
+    Object.keys(datum.data).forEach(k => {
+      if (k.includes('__ref__') && placeholder_ids.has(k.split('__ref__')[1])) delete datum.data[k]
+    })
+    Object.keys(datum.partnerships || {}).forEach(sp_id => {
+      if (placeholder_ids.has(sp_id)) delete datum.partnerships[sp_id]
+    })
+    delete datum.main
+    delete datum._tgdp
+    delete datum._tgdp_sp
+    delete datum.__tgdp_sp
+    return datum
+  }
+}
+
+export function isDataPatchEmpty(patch) {
+  return patch.added.length === 0 && patch.removed.length === 0 && patch.changed.length === 0 && !patch.order
+}
+
+// mutates data, reverse applies the patch backwards
+export function applyDataPatch(data, patch, reverse=false) {
+  const added = reverse ? patch.removed : patch.added
+  const removed = reverse ? patch.added : patch.removed
+  const removed_ids = new Set(removed.map(({datum}) => datum.id))
+  const index = createIndex(data)
+
+  patch.changed.forEach(change => {
+    const d = index.get(change.id)
+    if (!d) return console.error(`patch can not be applied, person ${change.id} not found`)
+    applyValues(d, change.props)
+    if (change.data) applyValues(d.data, change.data)
+    if (change.rels) applyValues(d.rels, change.rels)
+  })
+
+  for (let i = data.length; i--;) {
+    if (removed_ids.has(data[i].id)) data.splice(i, 1)
+  }
+  added.slice(0).sort((a, b) => a.index - b.index).forEach(({index, datum}) => data.splice(index, 0, copy(datum)))
+
+  if (patch.order) {
+    const order = patch.order[reverse ? 0 : 1]
+    const position = new Map(order.map((id, i) => [id, i]))
+    data.sort((a, b) => position.get(a.id) - position.get(b.id))
+  }
+
+  return data
+
+  function applyValues(obj, values) {
+    if (!values) return
+    Object.keys(values).forEach(k => {
+      const value = values[k][reverse ? 0 : 1]
+      if (value === undefined || value === null) delete obj[k]
+      else obj[k] = copy(value)
+    })
+  }
+}
+
+// ids of added and removed persons and the names of changed data fields and rels of the others
+export function summarizeDataDiff(patch) {
+  return {
+    added: patch.added.map(({datum}) => datum.id),
+    removed: patch.removed.map(({datum}) => datum.id),
+    changed: patch.changed.map(change => ({
+      id: change.id,
+      data: Object.keys(change.data || {}),
+      rels: Object.keys(change.rels || {}),
+      props: Object.keys(change.props || {}).filter(k => k !== 'main'),
+    })).filter(change => change.data.length + change.rels.length + change.props.length > 0)
+  }
+}
+
+// next_data with the removed persons linked back in, so that they can be shown in the tree
+// status is a Map of id => 'added' | 'removed' | 'changed'
+export function createDiffViewData(prev_data, next_data) {
+  const summary = summarizeDataDiff(diffData(prev_data, next_data))
+  const data = copy(next_data)
+  const index = createIndex(data)
+  const status = new Map()
+  summary.added.forEach(id => status.set(id, 'added'))
+  summary.changed.forEach(({id}) => status.set(id, 'changed'))
+
+  const removed = prev_data.filter(d => summary.removed.includes(d.id)).map(copy)
+  removed.forEach(d => {
+    delete d.main
+    data.push(d)
+    index.set(d.id, d)
+    status.set(d.id, 'removed')
+  })
+  removed.forEach(d => linkBack(d, index))
+
+  return {data, status, summary, prev_index: createIndex(prev_data)}
+}
+
+function diffDatum(prev_d, next_d) {
+  const change = {id: next_d.id}
+  const props = diffValues(prev_d, next_d, ['id', 'data', 'rels'])
+  const data = diffValues(prev_d.data || {}, next_d.data || {})
+  const rels = diffValues(prev_d.rels || {}, next_d.rels || {})
+  if (props) change.props = props
+  if (data) change.data = data
+  if (rels) change.rels = rels
+  return props || data || rels ? change : null
+}
+
+function diffValues(prev_obj, next_obj, skip_keys=[]) {
+  const values = {}
+  const keys = new Set([...Object.keys(prev_obj), ...Object.keys(next_obj)])
+  keys.forEach(k => {
+    if (skip_keys.includes(k)) return
+    if (isEqual(prev_obj[k], next_obj[k])) return
+    values[k] = [copy(prev_obj[k]), copy(next_obj[k])]
+  })
+  return Object.keys(values).length > 0 ? values : null
+}
+
+function isEqual(a, b) {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function isPlaceholder(d) {
+  return !!(d.to_add || d._new_rel_data)
+}
+
+function getRelIds(d) {
+  const ref_ids = Object.keys(d.data || {}).filter(k => k.includes('__ref__')).map(k => k.split('__ref__')[1])
+  return [...Object.values(d.rels || {}).flat(), ...ref_ids].filter(id => typeof id === 'string')
+}
+
+function copy(value) {
+  if (value === undefined) return value
+  return JSON.parse(JSON.stringify(value))
+}
+
+function createIndex(data) {
+  const index = new Map()
+  data.forEach(d => {
+    if (!index.has(d.id)) index.set(d.id, d)
+  })
+  return index
+}
+
+function linkBack(d, index) {
+  const rels = d.rels;
+  ['father', 'mother'].forEach(rel_type => {
+    const parent = index.get(rels[rel_type])
+    if (!parent) return rels[rel_type] = null
+    addRelId(parent.rels, 'children', d.id)
+  })
+  rels.children = (rels.children || []).filter(child_id => {
+    const child = index.get(child_id)
+    if (!child) return false
+    const rel_type = getParentSlot(child, d)
+    if (!rel_type) return false  // the child has two other parents now
+    child.rels[rel_type] = d.id
+    return true
+  })
+  rels.spouses = (rels.spouses || []).filter(spouse_id => {
+    const spouse = index.get(spouse_id)
+    if (spouse) addRelId(spouse.rels, 'spouses', d.id)
+    return !!spouse
+  })
+  Object.values(PARENT_TYPES).forEach(({parents, children}) => {
+    [[parents, children], [children, parents]].forEach(([k, reverse_k]) => {
+      if (!rels[k]) return
+      rels[k] = rels[k].filter(id => {
+        const rel_datum = index.get(id)
+        if (rel_datum) addRelId(rel_datum.rels, reverse_k, d.id)
+        return !!rel_datum
+      })
+    })
+  })
+}
+
+function addRelId(rels, k, id) {
+  if (!rels[k]) rels[k] = []
+  if (!rels[k].includes(id)) rels[k].push(id)
+}
@@ -0,0 +1,147 @@
+// genealogical dates in GEDCOM style: "1762", "MAR 1762", "12 MAR 1762", "ABT 1850", "BEF 1900", "BET 1840 AND 1845"
+// parsed date: {qualifier, start: {year, month, day}, end: {year, month, day} | null, text}
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const QUALIFIERS = {
+  about: ['ABT', 'ABOUT', 'CIRCA', 'CA', 'C'],
+  estimated: ['EST'],
+  calculated: ['CAL'],
+  before: ['BEF', 'BEFORE'],
+  after: ['AFT', 'AFTER'],
+}
+const QUALIFIER_TAGS = {about: 'ABT', estimated: 'EST', calculated: 'CAL', before: 'BEF', after: 'AFT'}
+const QUALIFIER_LABELS = {about: 'about', estimated: 'est.', calculated: 'calc.', before: 'before', after: 'after'}
+const APPROXIMATE_YEARS = 2
+
+// parsed dates of the last CACHE_SIZE texts, so that sorting does not parse the same dates again
+const CACHE_SIZE = 1000
+const cache = new Map()
+
+export function parseDate(date) {
+  if (!date) return null
+  if (typeof date === 'object') return date
+  const text = String(date).trim().toUpperCase().replace(/\./g, ' ').replace(/\s+/g, ' ')
+  if (!cache.has(text)) {
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value)
+    cache.set(text, parse(text))
+  }
+  return cache.get(text)
+
+  function parse(text) {
+    const range = text.match(/^(BET|BETWEEN|FROM) (.+) (AND|TO) (.+)$/)
+    if (range) {
+      const start = parseDatePart(range[2])
+      const end = parseDatePart(range[4])
+      if (!start || !end) return null
+      const qualifier = range[1] === 'FROM' ? 'period' : 'between'
+      return createParsed(qualifier, start, end)
+    }
+    const [first_word, ...rest] = text.split(' ')
+    const qualifier = Object.keys(QUALIFIERS).find(k => QUALIFIERS[k].includes(first_word))
+    const start = parseDatePart(qualifier ? rest.join(' ') : text)
+    if (!start) return null
+    return createParsed(qualifier || 'exact', start, null)
+  }
+
+  function createParsed(qualifier, start, end) {
+    const parsed = {qualifier, start, end}
+    parsed.text = toGedcom(parsed)
+    return parsed
+  }
+}
+
+// normalized GEDCOM text of the date, or the original text if it can not be parsed
+export function normalizeDate(date) {
+  const parsed = parseDate(date)
+  return parsed ? parsed.text : date
+}
+
+export function isValidDate(date) {
+  return !!parseDate(date)
+}
+
+export function dateYear(date) {
+  const parsed = parseDate(date)
+  return parsed ? parsed.start.year : undefined
+}
+
+export function formatDate(date, {month_labels=MONTH_LABELS} = {}) {
+  const parsed = parseDate(date)
+  if (!parsed) return date || ''
+  const part = ({year, month, day}) => [day, month ? month_labels[month-1] : null, year].filter(v => v).join(' ')
+  if (parsed.qualifier === 'between') return `between ${part(parsed.start)} and ${part(parsed.end)}`
+  if (parsed.qualifier === 'period') return `from ${part(parsed.start)} to ${part(parsed.end)}`
+  if (parsed.qualifier === 'exact') return part(parsed.start)
+  return `${QUALIFIER_LABELS[parsed.qualifier]} ${part(parsed.start)}`
+}
+
+// earliest and latest possible moment of the date in decimal years
+export function getDateBounds(date) {
+  const parsed = parseDate(date)
+  if (!parsed) return null
+  const start = partBounds(parsed.start)
+  const end = parsed.end ? partBounds(parsed.end) : start
+  if (parsed.qualifier === 'before') return {min: -Infinity, max: start.max}
+  if (parsed.qualifier === 'after') return {min: start.min, max: Infinity}
+  if (['about', 'estimated', 'calculated'].includes(parsed.qualifier)) return {min: start.min - APPROXIMATE_YEARS, max: start.max + APPROXIMATE_YEARS}
+  return {min: start.min, max: end.max}
+}
+
+// unparseable and empty dates are sorted last
+export function compareDates(a, b) {
+  const a_value = dateSortValue(a)
+  const b_value = dateSortValue(b)
+  if (a_value === b_value) return 0
+  return a_value < b_value ? -1 : 1
+}
+
+export function dateSortValue(date) {
+  const parsed = parseDate(date)
+  if (!parsed) return Infinity
+  const {year, month, day} = parsed.start
+  return year + ((month || 1) - 1)/12 + ((day || 1) - 1)/372
+}
+
+function parseDatePart(text) {
+  const iso = text.match(/^(\d{3,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/)
+  if (iso) return createPart(+iso[1], iso[2] ? +iso[2] : null, iso[3] ? +iso[3] : null)
+
+  const words = text.split(' ')
+  if (words.length > 3 || !/^\d{3,4}$/.test(words[words.length-1])) return null
+  const year = +words[words.length-1]
+  const month_word = words[words.length-2]
+  const day_word = words[words.length-3]
+  if (!month_word) return createPart(year, null, null)
+  const month = MONTHS.findIndex(m => month_word.startsWith(m)) + 1
+  if (!month) return null
+  if (day_word && !/^\d{1,2}$/.test(day_word)) return null
+  return createPart(year, month, day_word ? +day_word : null)
+}
+
+function createPart(year, month, day) {
+  if (month !== null && (month < 1 || month > 12)) return null
+  if (day !== null && (day < 1 || day > daysInMonth(year, month))) return null
+  return {year, month, day}
+}
+
+function partBounds({year, month, day}) {
+  if (!month) return {min: year, max: year + 1}
+  const month_start = year + (month-1)/12
+  if (!day) return {min: month_start, max: month_start + 1/12}
+  const day_length = 1/12/daysInMonth(year, month)
+  return {min: month_start + (day-1)*day_length, max: month_start + day*day_length}
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+function toGedcom({qualifier, start, end}) {
+  const part = ({year, month, day}) => [day, month ? MONTHS[month-1] : null, year].filter(v => v).join(' ')
+  if (qualifier === 'between') return `BET ${part(start)} AND ${part(end)}`
+  if (qualifier === 'period') return `FROM ${part(start)} TO ${part(end)}`
+  if (qualifier === 'exact') return part(start)
+  return `${QUALIFIER_TAGS[qualifier]} ${part(start)}`
+}
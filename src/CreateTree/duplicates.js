@@ -0,0 +1,217 @@
+import {getAllNameStrings, addName} from "./names.js"
+import {getEvent} from "./events.js"
+import {getDateBounds} from "./dates.js"
+import {foldText, textSimilarity} from "./search.js"
+import {getRelType} from "./mutations.js"
+import {getPartnership, setPartnership, removePartnership, renamePartnershipId} from "./partnerships.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+
+const SIMILARITY_WEIGHTS = {name: .5, birth: .2, death: .1, parents: .2}
+const UNKNOWN_SIMILARITY = .5  // used when one of the two persons has no data to compare
+const DATE_TOLERANCE_YEARS = 5
+
+export const REL_ARRAYS = ['spouses', 'children', ...Object.values(PARENT_TYPES).flatMap(({parents, children}) => [parents, children])]
+
+// returns [{ids: [id1, id2], score, similarity: {name, birth, death, parents}}] sorted by score
+export function findDuplicatePersons(data, {threshold=.75} = {}) {
+  const data_index = new Map(data.map(d => [d.id, d]))
+  const persons = data.filter(d => !d.to_add && !d.unknown && !d._new_rel_data)
+
+  // only persons that share the start of a name word are compared
+  const blocks = new Map()
+  persons.forEach(d => {
+    new Set(getAllNameStrings(d).flatMap(nameBlockKeys)).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, [])
+      blocks.get(key).push(d)
+    })
+  })
+
+  const duplicates = []
+  const compared = new Set()
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i+1; j < block.length; j++) {
+        const pair_id = [block[i].id, block[j].id].sort().join(', ')
+        if (compared.has(pair_id)) continue
+        compared.add(pair_id)
+        const similarity = getDuplicateSimilarity(block[i], block[j], data_index)
+        if (!similarity) continue
+        const score = Object.keys(SIMILARITY_WEIGHTS).reduce((acc, k) => acc + SIMILARITY_WEIGHTS[k]*similarity[k], 0)
+        if (score >= threshold) duplicates.push({ids: [block[i].id, block[j].id], score, similarity})
+      }
+    }
+  })
+  return duplicates.sort((a, b) => b.score - a.score)
+}
+
+// data fields and parents that have a different value on both persons
+export function getMergeConflicts(keep, drop) {
+  const conflicts = []
+  Object.keys(drop.data).forEach(key => {
+    const keep_value = keep.data[key]
+    const drop_value = drop.data[key]
+    if (isEmpty(keep_value) || isEmpty(drop_value) || keep_value === drop_value) return
+    conflicts.push({field: key, keep_value, drop_value})
+  });
+  ['father', 'mother'].forEach(rel_type => {
+    const keep_value = keep.rels[rel_type]
+    const drop_value = drop.rels[rel_type]
+    if (!keep_value || !drop_value || keep_value === drop_value) return
+    conflicts.push({field: rel_type, is_rel: true, keep_value, drop_value})
+  })
+  return conflicts
+}
+
+// resolveConflict(conflict, keep, drop) returns the value to keep, by default the value of keep is used
+export function mergePersons(data, keep_id, drop_id, {resolveConflict} = {}) {
+  const keep = data.find(d => d.id === keep_id)
+  const drop = data.find(d => d.id === drop_id)
+  if (!keep || !drop) return console.error(`person ${!keep ? keep_id : drop_id} not found`)
+  if (keep_id === drop_id) return console.error('a person can not be merged with itself')
+  if (getRelType(keep, drop_id)) return console.error(`${keep_id} and ${drop_id} are directly related and can not be merged`)
+  if (isGenderMismatch(keep, drop)) return console.error(`${keep_id} and ${drop_id} have a different gender and can not be merged`)
+
+  const resolved = {}
+  getMergeConflicts(keep, drop).forEach(conflict => {
+    resolved[conflict.field] = resolveConflict ? resolveConflict(conflict, keep, drop) : conflict.keep_value
+  })
+  const previous_names = [keep, drop].map(d => ({first_name: d.data['first name'], last_name: d.data['last name']}))
+
+  mergeData()
+  mergeNames()
+  mergeRecords()
+  mergePartnerships()
+  rewriteReferences()
+  mergeRels()
+
+  data.splice(data.indexOf(drop), 1)
+  return keep
+
+  function mergeData() {
+    Object.keys(drop.data).forEach(key => {
+      if (resolved.hasOwnProperty(key)) keep.data[key] = resolved[key]
+      else if (isEmpty(keep.data[key])) keep.data[key] = drop.data[key]
+    })
+  }
+
+  // names that are replaced by the merge are kept as aliases
+  function mergeNames() {
+    [...(drop.names || []), ...previous_names.map(name => ({type: 'alias', ...name}))].forEach(name => {
+      const name_string = [name.first_name, name.last_name].filter(v => v).join(' ')
+      if (!name_string || getAllNameStrings(keep).includes(name_string)) return
+      addName(keep, {...name, id: null})
+    })
+  }
+
+  function mergeRecords() {
+    if ((keep.media || []).some(m => m.primary)) (drop.media || []).forEach(m => delete m.primary);
+    ['events', 'citations', 'media'].forEach(k => {
+      if (!drop[k]) return
+      keep[k] = [...(keep[k] || []), ...drop[k].filter(item => !(keep[k] || []).some(keep_item => keep_item.id === item.id))]
+    })
+  }
+
+  function mergePartnerships() {
+    (drop.rels.spouses || []).forEach(sp_id => {
+      const spouse = data.find(d => d.id === sp_id)
+      if (!spouse) return
+      const partnership = getPartnership(drop, spouse)
+      removePartnership(drop, spouse)
+      if (partnership && !getPartnership(keep, spouse)) setPartnership(keep, spouse, partnership)
+    })
+    renamePartnershipId(data, drop_id, keep_id)
+  }
+
+  function rewriteReferences() {
+    data.forEach(d => {
+      if (d === drop) return
+      if (d.rels.father === drop_id) d.rels.father = keep_id
+      if (d.rels.mother === drop_id) d.rels.mother = keep_id
+      REL_ARRAYS.forEach(k => {
+        if (!(d.rels[k] || []).includes(drop_id)) return
+        d.rels[k] = [...new Set(d.rels[k].map(id => id === drop_id ? keep_id : id))]
+      })
+      Object.keys(d.data).forEach(key => {
+        if (!key.endsWith(`__ref__${drop_id}`)) return
+        const new_key = key.replace(`__ref__${drop_id}`, `__ref__${keep_id}`)
+        if (isEmpty(d.data[new_key])) d.data[new_key] = d.data[key]
+        delete d.data[key]
+      });
+      (d.citations || []).forEach(c => {
+        if (c.target_type === 'partnership' && c.target_id === drop_id) c.target_id = keep_id
+      })
+    })
+  }
+
+  function mergeRels() {
+    REL_ARRAYS.forEach(k => {
+      const ids = [...(keep.rels[k] || []), ...(drop.rels[k] || [])]
+      if (ids.length > 0) keep.rels[k] = [...new Set(ids)]
+    });
+    ['father', 'mother'].forEach(rel_type => {
+      const parent_ids = [keep.rels[rel_type], drop.rels[rel_type]]
+      const parent_id = resolved.hasOwnProperty(rel_type) ? resolved[rel_type] : (keep.rels[rel_type] || drop.rels[rel_type])
+      if (!parent_id) return
+      keep.rels[rel_type] = parent_id
+      parent_ids.forEach(id => {
+        const parent = data.find(d => d.id === id)
+        if (!parent || id === parent_id) return
+        parent.rels.children = (parent.rels.children || []).filter(ch_id => ch_id !== keep_id && ch_id !== drop_id)
+      })
+      const parent = data.find(d => d.id === parent_id)
+      if (!parent) return
+      parent.rels.children = (parent.rels.children || []).filter(ch_id => ch_id !== drop_id)
+      if (!parent.rels.children.includes(keep_id)) parent.rels.children.push(keep_id)
+    })
+  }
+}
+
+function getDuplicateSimilarity(a, b, data_index) {
+  if (isGenderMismatch(a, b)) return null
+  if (getRelType(a, b.id)) return null
+  return {
+    name: nameSimilarity(a, b),
+    birth: eventSimilarity(a, b, 'birth'),
+    death: eventSimilarity(a, b, 'death'),
+    parents: parentsSimilarity(a, b, data_index),
+  }
+}
+
+export function isGenderMismatch(a, b) {
+  return a.data.gender && b.data.gender && a.data.gender !== b.data.gender
+}
+
+function nameSimilarity(a, b) {
+  const b_names = getAllNameStrings(b)
+  return Math.max(0, ...getAllNameStrings(a).flatMap(a_name => b_names.map(b_name => textSimilarity(a_name, b_name))))
+}
+
+function eventSimilarity(a, b, type) {
+  const a_event = getEvent(a, type)
+  const b_event = getEvent(b, type)
+  const a_bounds = a_event && a_event.date ? getDateBounds(a_event.date) : null
+  const b_bounds = b_event && b_event.date ? getDateBounds(b_event.date) : null
+  if (!a_bounds || !b_bounds) return UNKNOWN_SIMILARITY
+  const gap = Math.max(0, a_bounds.min - b_bounds.max, b_bounds.min - a_bounds.max)
+  return Math.max(0, 1 - gap / DATE_TOLERANCE_YEARS)
+}
+
+function parentsSimilarity(a, b, data_index) {
+  const similarities = [];
+  ['father', 'mother'].forEach(rel_type => {
+    const a_parent = data_index.get(a.rels[rel_type])
+    const b_parent = data_index.get(b.rels[rel_type])
+    if (!a_parent || !b_parent) return
+    similarities.push(a_parent === b_parent ? 1 : nameSimilarity(a_parent, b_parent))
+  })
+  if (similarities.length === 0) return UNKNOWN_SIMILARITY
+  return similarities.reduce((acc, s) => acc + s, 0) / similarities.length
+}
+
+function nameBlockKeys(name) {
+  return foldText(name).split(/[\s\-]+/).filter(word => word).map(word => word.substring(0, 2))
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+}
@@ -6,6 +6,7 @@ import { handleLinkRel } from "./addRelative.linkRel.js"
 import removeRelative from "./removeRelative.js"
 import modal from "./modal.js"
 import { kinshipInfo } from "./kinshipInfo.js"
+import {getMergeConflicts} from "./duplicates.js"
 
 export default function(...args) { return new EditTree(...args) }
 
@@ -16,7 +17,7 @@ function EditTree(cont, store) {
   this.fields = [
     {type: 'text', label: 'first name', id: 'first name'},
     {type: 'text', label: 'last name', id: 'last name'},
-    {type: 'text', label: 'birthday', id: 'birthday'},
+    {type: 'date', label: 'birthday', id: 'birthday'},
     {type: 'text', label: 'avatar', id: 'avatar'}
   ]
 
@@ -39,6 +40,10 @@ function EditTree(cont, store) {
 
   this.kinship_info_config = null
 
+  this.gender_options = null
+
+  this.persistence = null
+
   this.init()
 
   return this
@@ -50,9 +55,11 @@ EditTree.prototype.init = function() {
   this.addRelativeInstance = this.setupAddRelative()
   this.removeRelativeInstance = this.setupRemoveRelative()
   this.createHistory()
+  this.store.setOnDataChange(ids => this.updateHistory(ids))
 }
 
 EditTree.prototype.open = function(datum) {
+  if (this.restoring || this.store.state.diff_view) return
   if (datum.data.data && typeof datum.data.data === 'object') datum = datum.data
   const tree_datum = this.store.getTreeDatum(datum.id)
   if (this.addRelativeInstance.is_active) handleAddRelative.call(this, datum)
@@ -80,8 +87,9 @@ EditTree.prototype.open = function(datum) {
       this.removeRelativeInstance.onChange(tree_datum, onAccept.bind(this))
 
       function onAccept() {
+        const ids = [this.removeRelativeInstance.datum.id, tree_datum.data.id]
         this.removeRelativeInstance.onCancel()
-        this.updateHistory()
+        this.updateHistory(ids)
         this.store.updateTree({})
       }
     }
@@ -119,6 +127,7 @@ EditTree.prototype.cardEditForm = function(datum) {
     link_existing_rel_config: this.link_existing_rel_config,
     getKinshipInfo: this.kinship_info_config ? () => kinshipInfo(this.kinship_info_config, datum.id, this.store.getData()) : null,
     onFormCreation: this.onFormCreation,
+    gender_options: this.gender_options,
     ...props
   })
 
@@ -132,14 +141,17 @@ EditTree.prototype.cardEditForm = function(datum) {
   this.openForm()
 
   function postSubmit(props) {
+    let ids = [datum.id]
     if (this.addRelativeInstance.is_active) {
       this.addRelativeInstance.onChange(datum, props)
       if (this.postSubmit) this.postSubmit(datum, this.store.getData())
       const active_datum = this.addRelativeInstance.datum
+      ids.push(active_datum.id)
       this.store.updateMainId(active_datum.id)
       this.openWithoutRelCancel(active_datum)
     } else if ((datum.to_add || datum.unknown) && props?.link_rel_id) {
       handleLinkRel(datum, props.link_rel_id, this.store.getData())
+      ids.push(props.link_rel_id)
       this.store.updateMainId(props.link_rel_id)
       this.openFormWithId(props.link_rel_id)
     } else if (!props?.delete) {
@@ -151,7 +163,7 @@ EditTree.prototype.cardEditForm = function(datum) {
     
     this.store.updateTree({})
 
-    this.updateHistory()
+    this.updateHistory(ids)
   }
 }
 
@@ -203,6 +215,57 @@ EditTree.prototype.openFormWithId = function(d_id) {
   }
 }
 
+// merges drop into keep, conflicting values are chosen in a modal
+EditTree.prototype.mergePersons = function(keep_id, drop_id) {
+  const store = this.store
+  const keep = store.getDatum(keep_id)
+  const drop = store.getDatum(drop_id)
+  if (!keep || !drop) {
+    console.error(`person ${!keep ? keep_id : drop_id} not found`)
+    return this
+  }
+  const conflicts = getMergeConflicts(keep, drop)
+  if (conflicts.length === 0) merge.call(this, null)
+  else openModal.call(this)
+
+  return this
+
+  function merge(resolveConflict) {
+    if (this.addRelativeInstance.is_active) this.addRelativeInstance.onCancel()
+    if (this.removeRelativeInstance.is_active) this.removeRelativeInstance.onCancel()
+    if (!store.mergePersons(keep_id, drop_id, {resolveConflict})) return
+    store.updateTree({initial: false})
+    this.openFormWithId(keep_id)
+  }
+
+  function openModal() {
+    const div = d3.create('div').html(`
+      <p>Both profiles have different values, please choose which ones to keep.</p>
+      <div class="f3-merge-conflicts">
+        ${conflicts.map((conflict, i) => (`
+          <div class="f3-merge-conflict">
+            <span class="f3-merge-conflict-field">${conflict.field}</span>
+            <label><input type="radio" name="f3-merge-conflict-${i}" value="keep" checked> ${valueLabel(conflict, conflict.keep_value)}</label>
+            <label><input type="radio" name="f3-merge-conflict-${i}" value="drop"> ${valueLabel(conflict, conflict.drop_value)}</label>
+          </div>
+        `)).join('')}
+      </div>
+    `)
+
+    this.modal.activate(div.node(), {boolean: true, onAccept: () => {
+      const choices = {}
+      conflicts.forEach((conflict, i) => choices[conflict.field] = div.select(`input[name="f3-merge-conflict-${i}"]:checked`).property('value'))
+      merge.call(this, conflict => choices[conflict.field] === 'drop' ? conflict.drop_value : conflict.keep_value)
+    }})
+  }
+
+  function valueLabel(conflict, value) {
+    if (!conflict.is_rel) return value
+    const parent = store.getDatum(value)
+    return parent ? [parent.data['first name'], parent.data['last name']].filter(v => v).join(' ') || value : value
+  }
+}
+
 EditTree.prototype.createHistory = function() {
   this.history = f3.handlers.createHistory(this.store, this.getStoreDataCopy.bind(this), historyUpdateTree.bind(this))
   this.history.controls = f3.handlers.createHistoryControls(this.cont.querySelector('.f3-nav-cont'), this.history)
@@ -217,10 +280,19 @@ EditTree.prototype.createHistory = function() {
     this.store.updateTree({initial: false})
     this.history.controls.updateButtons()
     this.openFormWithId(this.store.getMainDatum()?.id)
+    this.persist()
     if (this.onChange) this.onChange()
   }
 }
 
+EditTree.prototype.cancelEditing = function() {
+  if (this.addRelativeInstance.is_active) this.addRelativeInstance.onCancel()
+  if (this.removeRelativeInstance.is_active) this.removeRelativeInstance.onCancel()
+  this.closeForm()
+
+  return this
+}
+
 EditTree.prototype.setNoEdit = function() {
   this.no_edit = true
 
@@ -345,6 +417,12 @@ EditTree.prototype.setKinshipInfo = function(kinship_info_config) {
   return this
 }
 
+EditTree.prototype.setGenderOptions = function(gender_options) {
+  this.gender_options = gender_options
+
+  return this
+}
+
 EditTree.prototype.getStoreDataCopy = function() {  // todo: should make more sense
   let data = JSON.parse(JSON.stringify(this.store.getData()))  // important to make a deep copy of the data
   if (this.addRelativeInstance.is_active) data = this.addRelativeInstance.cleanUp(data)    
@@ -356,15 +434,85 @@ EditTree.prototype.getDataJson = function() {
   return JSON.stringify(this.getStoreDataCopy(), null, 2)
 }
 
-EditTree.prototype.updateHistory = function() {
+EditTree.prototype.getSourcesJson = function() {
+  return JSON.stringify(this.store.getSources(), null, 2)
+}
+
+EditTree.prototype.getDataGedcom = function(props) {
+  return f3.handlers.dataToGedcom(this.getStoreDataCopy(), {sources: this.store.getSources(), ...props})
+}
+
+EditTree.prototype.updateHistory = function(ids) {
+  if (this.restoring) return console.error('data can not be edited before the persisted data is restored')
+  if (this.store.state.diff_view) return console.error('data can not be edited while the diff view is shown')
   if (this.history) {
-    this.history.changed()
+    this.history.changed(ids)
     this.history.controls.updateButtons()
   }
+  this.persist()
 
   if (this.onChange) this.onChange()
 }
 
+EditTree.prototype.setHistoryMaxDepth = function(max_depth) {
+  if (this.history) {
+    this.history.setMaxDepth(max_depth)
+    this.history.controls.updateButtons()
+  }
+
+  return this
+}
+
+EditTree.prototype.setPersistence = function(persistence) {
+  this.persistence = persistence
+  if (persistence) this.restorePersisted()
+
+  return this
+}
+
+// editing is blocked until the persisted data is loaded, otherwise the edits would be overwritten by it
+EditTree.prototype.restorePersisted = function() {
+  const persistence = this.persistence
+  const restoring = persistence.load().then(state => {
+    if (this.restoring === restoring) this.restoring = null
+    if (!state || !state.data || persistence !== this.persistence) return
+    const data = JSON.parse(JSON.stringify(state.data))
+    if (state.main_id && data.find(d => d.id === state.main_id)) this.store.updateMainId(state.main_id)
+    this.store.updateData(data)
+    this.store.updateSources(JSON.parse(JSON.stringify(state.sources || [])))
+    if (this.history) {
+      if (state.history) this.history.setState(state.history, state.data, state.main_id, state.sources)
+      else this.history.changed()
+      this.history.controls.updateButtons()
+    }
+    this.store.updateTree({initial: false})
+    this.openFormWithId(this.store.getMainDatum()?.id)
+    if (this.onChange) this.onChange()
+  }).catch(error => {
+    if (this.restoring === restoring) this.restoring = null
+    console.error('could not restore persisted data', error)
+  })
+  this.restoring = restoring
+  return restoring
+}
+
+// history already keeps a clean copy of the data, so it is saved instead of making a new one
+EditTree.prototype.persist = function() {
+  if (!this.persistence || this.restoring || this.store.state.diff_view) return
+  const state = {
+    data: this.history ? this.history.getData() : this.getStoreDataCopy(),
+    sources: this.history ? this.history.getSources() : this.store.getSources(),
+    main_id: this.store.getMainId(),
+    history: this.history ? this.history.getState() : null
+  }
+  return this.persistence.save(state).catch(error => console.error('could not persist data', error))
+}
+
+EditTree.prototype.clearPersisted = function() {
+  if (!this.persistence) return Promise.resolve()
+  return this.persistence.clear()
+}
+
 EditTree.prototype.setPostSubmit = function(postSubmit) {
   this.postSubmit = postSubmit
 
@@ -372,6 +520,7 @@ EditTree.prototype.setPostSubmit = function(postSubmit) {
 }
 
 EditTree.prototype.destroy = function() {
+  this.store.setOnDataChange(null)
   this.history.controls.destroy()
   this.history = null
   d3.select(this.cont).select('.f3-form-cont').remove()
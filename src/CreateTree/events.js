@@ -0,0 +1,94 @@
+import {generateUUID} from "./newPerson.js"
+import {dateYear} from "./dates.js"
+
+// events are stored in datum.events as [{id, type, date, place, description}]
+
+export const EVENT_TYPES = [
+  {value: 'birth', label: 'Birth'},
+  {value: 'death', label: 'Death'},
+  {value: 'marriage', label: 'Marriage'},
+  {value: 'residence', label: 'Residence'},
+  {value: 'occupation', label: 'Occupation'},
+]
+
+export const EVENT_PROPS = ['type', 'date', 'place', 'description']
+
+// flat data fields used for birth and death before events existed
+const LEGACY_EVENT_FIELDS = {
+  birth: {date: 'birthday', place: 'birthplace'},
+  death: {date: 'death', place: 'deathplace'},
+}
+
+export function getEvents(datum, type) {
+  const events = datum.events || []
+  return type ? events.filter(e => e.type === type) : events
+}
+
+export function getEvent(datum, type) {
+  const event = getEvents(datum, type)[0]
+  if (event) return event
+  const legacy_fields = LEGACY_EVENT_FIELDS[type]
+  if (!legacy_fields) return null
+  const legacy_event = {type}
+  Object.keys(legacy_fields).forEach(prop => {
+    if (datum.data[legacy_fields[prop]]) legacy_event[prop] = datum.data[legacy_fields[prop]]
+  })
+  return Object.keys(legacy_event).length > 1 ? legacy_event : null
+}
+
+export function addEvent(datum, event) {
+  if (!event.type) return console.error('event type is not set')
+  const new_event = cleanupEvent(event)
+  if (!new_event.id) new_event.id = generateUUID()
+  if (!datum.events) datum.events = []
+  datum.events.push(new_event)
+  return new_event
+}
+
+export function updateEvent(datum, event_id, event) {
+  const index = getEvents(datum).findIndex(e => e.id === event_id)
+  if (index === -1) return console.error(`event ${event_id} not found`)
+  datum.events[index] = cleanupEvent({...datum.events[index], ...event, id: event_id})
+  return datum.events[index]
+}
+
+export function removeEvent(datum, event_id) {
+  if (!datum.events) return
+  datum.events = datum.events.filter(e => e.id !== event_id)
+  if (datum.events.length === 0) delete datum.events
+}
+
+export function setEvents(datum, events) {
+  const new_events = events.filter(e => e.type).map(e => {
+    const event = cleanupEvent(e)
+    if (!event.id) event.id = generateUUID()
+    return event
+  })
+  if (new_events.length > 0) datum.events = new_events
+  else delete datum.events
+}
+
+// key is "<event type> <date|year|place|description>", e.g. "birth year" or "death place"
+export function getEventValue(datum, key) {
+  const [type, prop] = String(key).split(' ')
+  if (!prop) return undefined
+  const event = getEvent(datum, type)
+  if (!event) return undefined
+  if (prop === 'year') return dateYear(event.date)
+  if (EVENT_PROPS.includes(prop)) return event[prop]
+  return undefined
+}
+
+export function eventLabel(event) {
+  const type = EVENT_TYPES.find(t => t.value === event.type)
+  return type ? type.label : event.type
+}
+
+function cleanupEvent(event) {
+  const new_event = {}
+  if (event.id) new_event.id = event.id
+  EVENT_PROPS.forEach(k => {
+    if (event[k]) new_event[k] = event[k]
+  })
+  return new_event
+}
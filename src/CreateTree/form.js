@@ -1,6 +1,12 @@
 import {checkIfRelativesConnectedWithoutPerson} from "./checkPersonConnection.js"
 import {createTreeDataWithMainNode} from "./newPerson.js"
 import { getLinkRelOptions } from "./addRelative.linkRel.js"
+import {getPartnership, setPartnership, removePartnershipsOf, PARTNERSHIP_TYPES} from "./partnerships.js"
+import {setEvents, eventLabel, EVENT_TYPES} from "./events.js"
+import {normalizeDate} from "./dates.js"
+import {setCitations, sourceLabel} from "./sources.js"
+import {setMedia} from "./media.js"
+import {setNames, NAME_TYPES} from "./names.js"
 
 export function createForm({
   datum,
@@ -14,7 +20,8 @@ export function createForm({
   editFirst,
   link_existing_rel_config,
   getKinshipInfo,
-  onFormCreation
+  onFormCreation,
+  gender_options
 }) {
   const form_creator = {
     datum_id: datum.id,
@@ -49,19 +56,22 @@ export function createForm({
 
   if (editFirst) form_creator.editable = true
 
-  const childred_added = (datum.rels.children || []).some(c_id => {const child = store.getDatum(c_id); return !child._new_rel_data})
-
   form_creator.gender_field = {
     id: 'gender', 
     type: 'switch',
     label: 'Gender',
     initial_value: datum.data.gender,
-    disabled: ['father', 'mother'].some(rel => rel === datum._new_rel_data?.rel_type) || childred_added,
-    options: [{value: 'M', label: 'Male'}, {value: 'F', label: 'Female'}]
+    disabled: ['father', 'mother'].some(rel => rel === datum._new_rel_data?.rel_type),
+    options: gender_options || [{value: 'M', label: 'Male'}, {value: 'F', label: 'Female'}, {value: 'X', label: 'Other'}, {value: 'U', label: 'Unknown'}]
   }
 
   fields.forEach(field => {
     if (field.type === 'rel_reference') addRelReferenceField(field)
+    else if (field.type === 'partnership') addPartnershipField(field)
+    else if (field.type === 'events') addEventsField(field)
+    else if (field.type === 'citations') addCitationsField(field)
+    else if (field.type === 'media') addMediaField(field)
+    else if (field.type === 'names') addNamesField(field)
     else if (field.type === 'select') addSelectField(field)
 
     else form_creator.fields.push({
@@ -95,6 +105,73 @@ export function createForm({
     }
   }
 
+  function addPartnershipField(field) {
+    (datum.rels.spouses || []).forEach(spouse_id => {
+      const spouse = store.getDatum(spouse_id)
+      if (!spouse) return
+      form_creator.fields.push({
+        id: `__partnership__${spouse_id}`,
+        type: 'partnership',
+        label: field.label,
+        rel_id: spouse_id,
+        rel_label: field.getRelLabel ? field.getRelLabel(spouse) : spouse_id,
+        options: field.options || PARTNERSHIP_TYPES,
+        initial_value: getPartnership(datum, spouse) || {},
+      })
+    })
+  }
+
+  function addEventsField(field) {
+    form_creator.fields.push({
+      id: '__events',
+      type: 'events',
+      label: field.label,
+      options: field.options || EVENT_TYPES,
+      initial_value: datum.events || [],
+    })
+  }
+
+  function addCitationsField(field) {
+    const getRelLabel = field.getRelLabel || (d => [d.data['first name'], d.data['last name']].filter(v => v).join(' ') || d.id)
+    const targets = [{value: 'person', label: 'Person'}]
+    fields.forEach(f => {
+      if (['text', 'textarea', 'select', 'date'].includes(f.type)) targets.push({value: `field:${f.id}`, label: f.label})
+    });
+    (datum.events || []).forEach(e => targets.push({value: `event:${e.id}`, label: [eventLabel(e), e.date].filter(v => v).join(' ')}));
+    (datum.rels.spouses || []).forEach(sp_id => {
+      const spouse = store.getDatum(sp_id)
+      if (spouse) targets.push({value: `partnership:${sp_id}`, label: `Partnership - ${getRelLabel(spouse)}`})
+    })
+    form_creator.fields.push({
+      id: '__citations',
+      type: 'citations',
+      label: field.label,
+      sources: store.getSources().map(source => ({value: source.id, label: sourceLabel(source)})),
+      targets,
+      initial_value: datum.citations || [],
+    })
+  }
+
+  function addMediaField(field) {
+    form_creator.fields.push({
+      id: '__media',
+      type: 'media',
+      label: field.label,
+      read_as: field.read_as || 'data_url',
+      initial_value: datum.media || [],
+    })
+  }
+
+  function addNamesField(field) {
+    form_creator.fields.push({
+      id: '__names',
+      type: 'names',
+      label: field.label,
+      options: field.options || NAME_TYPES,
+      initial_value: datum.names || [],
+    })
+  }
+
   function addSelectField(field) {
     if (!field.optionCreator && !field.options) return console.error('optionCreator or options is not set for field', field)
     form_creator.fields.push({
@@ -126,13 +203,68 @@ export function createForm({
   function submitFormChanges(e) {
     e.preventDefault()
     const form_data = new FormData(e.target)
-    form_data.forEach((v, k) => datum.data[k] = v)
+    const partnerships = {}
+    const events = {}
+    const citations = {}
+    const media = {}
+    const names = {}
+    let primary_media_row = null
+    form_data.forEach((v, k) => {
+      if (k === '__media_primary') primary_media_row = v
+      else if (k.startsWith('__media__')) {
+        const [row, prop] = k.slice('__media__'.length).split('__')
+        if (!media[row]) media[row] = {}
+        media[row][prop] = v
+      }
+      else if (k.startsWith('__names__')) {
+        const [row, prop] = k.slice('__names__'.length).split('__')
+        if (!names[row]) names[row] = {}
+        names[row][prop] = v
+      }
+      else if (k.startsWith('__citations__')) {
+        const [row, prop] = k.slice('__citations__'.length).split('__')
+        if (!citations[row]) citations[row] = {}
+        if (prop === 'target') {
+          const [target_type, ...target_id] = v.split(':')
+          citations[row].target_type = target_type
+          citations[row].target_id = target_id.join(':')
+        }
+        else citations[row][prop] = v
+      }
+      else if (k.startsWith('__events__')) {
+        const [row, prop] = k.slice('__events__'.length).split('__')
+        if (!events[row]) events[row] = {}
+        events[row][prop] = prop === 'date' ? normalizeDate(v) : v
+      }
+      else if (k.startsWith('__partnership__')) {
+        const [spouse_id, prop] = k.slice('__partnership__'.length).split('__')
+        if (!partnerships[spouse_id]) partnerships[spouse_id] = {}
+        partnerships[spouse_id][prop] = prop.endsWith('_date') ? normalizeDate(v) : v
+      }
+      else if (isDateField(k)) datum.data[k] = normalizeDate(v)
+      else datum.data[k] = v
+    })
+    if (form_creator.fields.some(field => field.type === 'events')) setEvents(datum, Object.values(events))
+    if (form_creator.fields.some(field => field.type === 'names')) setNames(datum, Object.values(names))
+    if (form_creator.fields.some(field => field.type === 'citations')) setCitations(datum, Object.values(citations))
+    if (form_creator.fields.some(field => field.type === 'media')) {
+      Object.keys(media).forEach(row => media[row].primary = row === primary_media_row)
+      setMedia(datum, Object.values(media))
+    }
+    Object.keys(partnerships).forEach(spouse_id => {
+      const spouse = store.getDatum(spouse_id)
+      if (spouse) setPartnership(datum, spouse, partnerships[spouse_id])
+    })
     syncRelReference(datum, store.getData())
     if (datum.to_add) delete datum.to_add
     if (datum.unknown) delete datum.unknown
     postSubmit()
   }
 
+  function isDateField(k) {
+    return form_creator.fields.some(field => field.id === k && field.type === 'date')
+  }
+
   function submitLinkExistingRelative(e) {
     const link_rel_id = e.target.value
     postSubmit({link_rel_id: link_rel_id})
@@ -199,6 +331,7 @@ export function deletePerson(datum, data_stash) {
       }
     })
     onDeleteSyncRelReference(datum, data_stash)
+    removePartnershipsOf(datum, data_stash)
     data_stash.splice(data_stash.findIndex(d => d.id === datum.id), 1)
     data_stash.forEach(d => {if (d.to_add) deletePerson(d, data_stash)})  // full update of tree
     if (data_stash.length === 0) data_stash.push(createTreeDataWithMainNode({}).data[0])
@@ -206,9 +339,14 @@ export function deletePerson(datum, data_stash) {
 
   function changeToUnknown() {
     onDeleteSyncRelReference(datum, data_stash)
+    removePartnershipsOf(datum, data_stash)
     datum.data = {
       gender: datum.data.gender,
     }
+    delete datum.events
+    delete datum.citations
+    delete datum.media
+    delete datum.names
     datum.unknown = true
   }
 }
@@ -1,4 +1,8 @@
 import * as icons from '../view/elements/Card.icons.js'
+import {partnershipLabel} from './partnerships.js'
+import {eventLabel} from './events.js'
+import {formatDate, isValidDate} from './dates.js'
+import {readMediaFile, mediaTypeFromUrl} from './media.js'
 
 export function formInfoSetup(form_creator, closeCallback) {
   const formContainer = document.createElement('div')
@@ -53,6 +57,11 @@ export function formInfoSetup(form_creator, closeCallback) {
     const close_btn = form.querySelector('.f3-close-btn');
     close_btn.addEventListener('click', closeCallback)
 
+    setupRowsField('events', 'event', eventRowHtml)
+    setupRowsField('names', 'name', nameRowHtml)
+    setupRowsField('citations', 'citation', citationRowHtml)
+    setupMediaField()
+
     const link_existing_relative_select = form.querySelector('.f3-link-existing-relative select');
     if (link_existing_relative_select) {
       link_existing_relative_select.addEventListener('change', form_creator.linkExistingRelative.onSelect);
@@ -70,6 +79,43 @@ export function formInfoSetup(form_creator, closeCallback) {
       if (kinship_info) formContainer.appendChild(kinship_info)
     }
 
+    function setupRowsField(type, row_name, rowHtml) {
+      const rows_field = form.querySelector(`.f3-${type}-field`)
+      if (!rows_field) return
+      const field = form_creator.fields.find(f => f.type === type)
+      let row_count = rows_field.querySelectorAll(`.f3-${row_name}-row`).length
+      rows_field.addEventListener('click', e => {
+        if (e.target.closest(`.f3-remove-${row_name}-btn`)) e.target.closest(`.f3-${row_name}-row`).remove()
+        if (e.target.closest(`.f3-add-${row_name}-btn`)) {
+          rows_field.querySelector(`.f3-${row_name}-rows`).insertAdjacentHTML('beforeend', rowHtml(field, {}, row_count++))
+        }
+      })
+    }
+
+    function setupMediaField() {
+      const media_field = form.querySelector('.f3-media-field')
+      if (!media_field) return
+      const field = form_creator.fields.find(f => f.type === 'media')
+      const rows = media_field.querySelector('.f3-media-rows')
+      const url_input = media_field.querySelector('.f3-media-url-input')
+      let row_count = rows.querySelectorAll('.f3-media-row').length
+      const addRow = media_item => rows.insertAdjacentHTML('beforeend', mediaRowHtml(field, media_item, row_count++))
+
+      media_field.addEventListener('click', e => {
+        if (e.target.closest('.f3-remove-media-btn')) e.target.closest('.f3-media-row').remove()
+        if (e.target.closest('.f3-add-media-url-btn') && url_input.value) {
+          addRow({url: url_input.value, type: mediaTypeFromUrl(url_input.value)})
+          url_input.value = ''
+        }
+      })
+      media_field.querySelector('.f3-media-file-input').addEventListener('change', e => {
+        Promise.all([...e.target.files].map(file => readMediaFile(file, {as: field.read_as})))
+          .then(media_items => media_items.forEach(addRow))
+          .catch(error => console.error('media file could not be read', error))
+        e.target.value = ''
+      })
+    }
+
     function onCancel() {
       form_creator.editable = false
       if (form_creator.onCancel) form_creator.onCancel()
@@ -179,6 +225,16 @@ export function formInfoSetup(form_creator, closeCallback) {
             value="${field.initial_value || ''}"
             placeholder="${field.label}">
         </div>`
+      } else if (field.type === 'date') {
+        const invalid = field.initial_value && !isValidDate(field.initial_value)
+        fields_html += `
+        <div class="f3-form-field f3-date-field${invalid ? ' f3-invalid-date' : ''}">
+          <label>${field.label}</label>
+          <input type="text" 
+            name="${field.id}" 
+            value="${field.initial_value || ''}"
+            placeholder="e.g. 1850, MAR 1850, ABT 1850, BET 1840 AND 1845">
+        </div>`
       } else if (field.type === 'textarea') {
         fields_html += `
         <div class="f3-form-field">
@@ -204,6 +260,62 @@ export function formInfoSetup(form_creator, closeCallback) {
             value="${field.initial_value || ''}"
             placeholder="${field.label}">
         </div>`
+      } else if (field.type === 'events') {
+        fields_html += `
+        <div class="f3-form-field f3-events-field">
+          <label>${field.label}</label>
+          <div class="f3-event-rows">
+            ${field.initial_value.map((event, i) => eventRowHtml(field, event, i)).join('')}
+          </div>
+          <button type="button" class="f3-add-event-btn">Add event</button>
+        </div>`
+      } else if (field.type === 'names') {
+        fields_html += `
+        <div class="f3-form-field f3-names-field">
+          <label>${field.label}</label>
+          <div class="f3-name-rows">
+            ${field.initial_value.map((name, i) => nameRowHtml(field, name, i)).join('')}
+          </div>
+          <button type="button" class="f3-add-name-btn">Add name</button>
+        </div>`
+      } else if (field.type === 'media') {
+        fields_html += `
+        <div class="f3-form-field f3-media-field">
+          <label>${field.label}</label>
+          <div class="f3-media-rows">
+            ${field.initial_value.map((media_item, i) => mediaRowHtml(field, media_item, i)).join('')}
+          </div>
+          <input type="file" class="f3-media-file-input" multiple accept="image/*,application/pdf">
+          <div class="f3-media-url">
+            <input type="text" class="f3-media-url-input" placeholder="Image or document URL">
+            <button type="button" class="f3-add-media-url-btn">Add</button>
+          </div>
+        </div>`
+      } else if (field.type === 'citations') {
+        fields_html += `
+        <div class="f3-form-field f3-citations-field">
+          <label>${field.label}</label>
+          <div class="f3-citation-rows">
+            ${field.initial_value.map((citation, i) => citationRowHtml(field, citation, i)).join('')}
+          </div>
+          ${field.sources.length > 0 ? '<button type="button" class="f3-add-citation-btn">Add citation</button>' : ''}
+        </div>`
+      } else if (field.type === 'partnership') {
+        const value = field.initial_value
+        const input = (prop, label) => `
+          <input type="text" name="${field.id}__${prop}" value="${value[prop] || ''}" placeholder="${label}">`
+        fields_html += `
+        <div class="f3-form-field f3-partnership-field">
+          <label>${field.label} - <i>${field.rel_label}</i></label>
+          <select name="${field.id}__type">
+            <option value="">Type</option>
+            ${field.options.map(option => `<option ${option.value === value.type ? 'selected' : ''} value="${option.value}">${option.label}</option>`).join('')}
+          </select>
+          ${input('start_date', 'Start date')}
+          ${input('end_date', 'End date')}
+          ${input('end_reason', 'End reason')}
+          ${input('place', 'Place')}
+        </div>`
       }
     })
     return fields_html
@@ -218,6 +330,56 @@ export function formInfoSetup(form_creator, closeCallback) {
             <span class="f3-info-field-label">${field.label} - <i>${field.rel_label}</i></span>
             <span class="f3-info-field-value">${field.initial_value || ''}</span>
           </div>`
+        } else if (field.type === 'events') {
+          field.initial_value.forEach(event => {
+            fields_html += `
+            <div class="f3-info-field">
+              <span class="f3-info-field-label">${eventLabel(event)}</span>
+              <span class="f3-info-field-value">${[event.date, event.place, event.description].filter(v => v).join(', ')}</span>
+            </div>`
+          })
+        } else if (field.type === 'names') {
+          field.initial_value.forEach(name => {
+            const option = field.options.find(option => option.value === name.type)
+            fields_html += `
+            <div class="f3-info-field">
+              <span class="f3-info-field-label">${option ? option.label : name.type}</span>
+              <span class="f3-info-field-value">${[name.first_name, name.last_name].filter(v => v).join(' ')}</span>
+            </div>`
+          })
+        } else if (field.type === 'media') {
+          if (field.initial_value.length === 0) return
+          fields_html += `
+          <div class="f3-info-field">
+            <span class="f3-info-field-label">${field.label}</span>
+            <div class="f3-media-gallery">
+              ${field.initial_value.map(media_item => (`
+                <figure class="f3-media-item${media_item.primary ? ' f3-media-primary' : ''}">
+                  ${mediaPreviewHtml(media_item)}
+                  <figcaption>${[media_item.caption, formatDate(media_item.date)].filter(v => v).join(', ')}</figcaption>
+                </figure>
+              `)).join('')}
+            </div>
+          </div>`
+        } else if (field.type === 'citations') {
+          field.initial_value.forEach(citation => {
+            const source = field.sources.find(s => s.value === citation.source_id)
+            const target = field.targets.find(t => t.value === citationTargetValue(citation))
+            fields_html += `
+            <div class="f3-info-field">
+              <span class="f3-info-field-label">${field.label} - <i>${target ? target.label : ''}</i></span>
+              <span class="f3-info-field-value">${[source ? source.label : citation.source_id, citation.page, citation.note].filter(v => v).join(', ')}</span>
+            </div>`
+          })
+        } else if (field.type === 'partnership') {
+          const value = field.initial_value
+          const label = partnershipLabel(value)
+          if (!label && !value.place && !value.end_reason) return
+          fields_html += `
+          <div class="f3-info-field">
+            <span class="f3-info-field-label">${field.label} - <i>${field.rel_label}</i></span>
+            <span class="f3-info-field-value">${[label, value.place, value.end_reason].filter(v => v).join(', ')}</span>
+          </div>`
         } else if (field.type === 'select') {
           if (!field.initial_value) return
           fields_html += `
@@ -225,6 +387,12 @@ export function formInfoSetup(form_creator, closeCallback) {
             <span class="f3-info-field-label">${field.label}</span>
             <span class="f3-info-field-value">${field.options.find(option => option.value === field.initial_value)?.label || ''}</span>
           </div>`
+        } else if (field.type === 'date') {
+          fields_html += `
+          <div class="f3-info-field">
+            <span class="f3-info-field-label">${field.label}</span>
+            <span class="f3-info-field-value">${formatDate(field.initial_value)}</span>
+          </div>`
         } else {
           fields_html += `
           <div class="f3-info-field">
@@ -269,3 +437,86 @@ export function formInfoSetup(form_creator, closeCallback) {
   }
 }
 
+function eventRowHtml(field, event, row) {
+  const name = prop => `${field.id}__${row}__${prop}`
+  const input = (prop, label) => `<input type="text" name="${name(prop)}" value="${event[prop] || ''}" placeholder="${label}">`
+  return (`
+    <div class="f3-event-row">
+      ${event.id ? `<input type="hidden" name="${name('id')}" value="${event.id}">` : ''}
+      <select name="${name('type')}">
+        ${field.options.map(option => `<option ${option.value === event.type ? 'selected' : ''} value="${option.value}">${option.label}</option>`).join('')}
+      </select>
+      ${input('date', 'Date')}
+      ${input('place', 'Place')}
+      ${input('description', 'Description')}
+      <button type="button" class="f3-remove-event-btn">Remove</button>
+    </div>
+  `)
+}
+
+function nameRowHtml(field, name_item, row) {
+  const name = prop => `${field.id}__${row}__${prop}`
+  const input = (prop, label) => `<input type="text" name="${name(prop)}" value="${name_item[prop] || ''}" placeholder="${label}">`
+  return (`
+    <div class="f3-name-row">
+      ${name_item.id ? `<input type="hidden" name="${name('id')}" value="${name_item.id}">` : ''}
+      <select name="${name('type')}">
+        ${field.options.map(option => `<option ${option.value === name_item.type ? 'selected' : ''} value="${option.value}">${option.label}</option>`).join('')}
+      </select>
+      ${input('first_name', 'First name')}
+      ${input('last_name', 'Last name')}
+      <button type="button" class="f3-remove-name-btn">Remove</button>
+    </div>
+  `)
+}
+
+function citationRowHtml(field, citation, row) {
+  const name = prop => `${field.id}__${row}__${prop}`
+  const input = (prop, label) => `<input type="text" name="${name(prop)}" value="${citation[prop] || ''}" placeholder="${label}">`
+  const select = (prop, options, value) => (`
+    <select name="${name(prop)}">
+      ${options.map(option => `<option ${option.value === value ? 'selected' : ''} value="${option.value}">${option.label}</option>`).join('')}
+    </select>
+  `)
+  return (`
+    <div class="f3-citation-row">
+      ${citation.id ? `<input type="hidden" name="${name('id')}" value="${citation.id}">` : ''}
+      ${select('source_id', field.sources, citation.source_id)}
+      ${select('target', field.targets, citationTargetValue(citation))}
+      ${input('page', 'Page')}
+      ${input('note', 'Note')}
+      <button type="button" class="f3-remove-citation-btn">Remove</button>
+    </div>
+  `)
+}
+
+function citationTargetValue(citation) {
+  return citation.target_type && citation.target_type !== 'person' ? `${citation.target_type}:${citation.target_id}` : 'person'
+}
+
+function mediaRowHtml(field, media_item, row) {
+  const name = prop => `${field.id}__${row}__${prop}`
+  const hidden = prop => media_item[prop] ? `<input type="hidden" name="${name(prop)}" value="${media_item[prop]}">` : ''
+  return (`
+    <div class="f3-media-row">
+      ${hidden('id')}
+      ${hidden('url')}
+      ${hidden('type')}
+      <div class="f3-media-preview">${mediaPreviewHtml(media_item)}</div>
+      ${media_item.type === 'image' ? `
+        <label class="f3-media-primary-label">
+          <input type="radio" name="__media_primary" value="${row}" ${media_item.primary ? 'checked' : ''}>
+          Primary photo
+        </label>
+      ` : ''}
+      <input type="text" name="${name('caption')}" value="${media_item.caption || ''}" placeholder="Caption">
+      <input type="text" name="${name('date')}" value="${media_item.date || ''}" placeholder="Date">
+      <button type="button" class="f3-remove-media-btn">Remove</button>
+    </div>
+  `)
+}
+
+function mediaPreviewHtml(media_item) {
+  if (media_item.type === 'image') return `<img src="${media_item.url}" alt="${media_item.caption || ''}">`
+  return `<a href="${media_item.url}" target="_blank" rel="noopener">${media_item.caption || 'Document'}</a>`
+}
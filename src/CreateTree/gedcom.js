@@ -0,0 +1,380 @@
+import {getPartnership, setPartnership} from "./partnerships.js"
+
+const INDI_EVENT_FIELDS = {
+  BIRT: {DATE: 'birthday', PLAC: 'birthplace'},
+  DEAT: {DATE: 'death', PLAC: 'deathplace'},
+}
+
+// FAM events stored as `${field_id}__ref__${spouse_id}` data fields,
+// MARR, ENGA, DIV and EVEN also go to partnership records
+const FAM_EVENT_FIELDS = {
+  MARR: 'marriage date',
+  DIV: 'divorce date',
+}
+const PARTNERSHIP_START_TAGS = {MARR: 'married', ENGA: 'engaged'}
+const PARTNERSHIP_TAGS = ['MARR', 'ENGA', 'DIV', 'EVEN']
+
+// NAME.TYPE values of the alternate names in datum.names
+const NAME_TYPE_TAGS = {birth: 'birth', married: 'married', alias: 'aka', romanized: 'romanized'}
+
+const SOURCE_FIELDS = {TITL: 'title', AUTH: 'author', _REPO: 'repository', _URL: 'url', NOTE: 'notes'}
+
+const IGNORED_RECORDS = ['HEAD', 'TRLR', 'SUBM']
+const IGNORED_TAGS = ['CHAN', 'RIN']
+
+// SEX values, X is for other genders and U for unknown. GEDCOM 5.5.1 has no X, so it is exported as U
+const GENDERS = ['M', 'F', 'X', 'U']
+
+export function gedcomToData(gedcom_text, {fam_event_fields=FAM_EVENT_FIELDS} = {}) {
+  const report = {unsupported_tags: [], broken_xrefs: [], conflicting_parents: []}
+  const records = parseGedcomRecords(gedcom_text, report)
+  const persons = {}
+  const fam_xrefs = records.filter(r => r.tag === 'FAM').map(r => r.xref)
+  const sour_xrefs = records.filter(r => r.tag === 'SOUR').map(r => r.xref)
+  const data = []
+  const sources = []
+
+  records.filter(r => r.tag === 'INDI').forEach(r => {
+    if (!r.xref) return report.unsupported_tags.push({line: r.line, tag: 'INDI', reason: 'INDI record without xref'})
+    const datum = {id: xrefToId(r.xref), data: {}, rels: {}}
+    r.children.forEach(node => handleIndiNode(datum, node))
+    persons[r.xref] = datum
+    data.push(datum)
+  })
+
+  records.filter(r => r.tag === 'FAM').forEach(r => handleFamRecord(r))
+
+  records.filter(r => r.tag === 'SOUR').forEach(r => handleSourRecord(r))
+
+  records.filter(r => !['INDI', 'FAM', 'SOUR'].includes(r.tag)).forEach(r => {
+    if (!IGNORED_RECORDS.includes(r.tag)) report.unsupported_tags.push({line: r.line, tag: r.tag})
+  })
+
+  return {data, sources, report}
+
+  function handleIndiNode(datum, node) {
+    if (node.tag === 'NAME') {
+      const {first_name, last_name} = parseGedcomName(node)
+      if (datum.data.hasOwnProperty('first name')) return addAlternateName(datum, node, first_name, last_name)
+      datum.data['first name'] = first_name
+      datum.data['last name'] = last_name
+    } else if (node.tag === 'SEX') {
+      if (GENDERS.includes(node.value)) datum.data.gender = node.value
+    } else if (INDI_EVENT_FIELDS[node.tag]) {
+      const fields = INDI_EVENT_FIELDS[node.tag]
+      node.children.forEach(child => {
+        if (fields[child.tag]) datum.data[fields[child.tag]] = child.value
+        else reportUnsupported(child, node.tag)
+      })
+    } else if (node.tag === 'OBJE') {
+      const file = node.children.find(child => child.tag === 'FILE')
+      if (file && !datum.data.avatar) datum.data.avatar = file.value
+    } else if (node.tag === 'SOUR') {
+      if (!sour_xrefs.includes(node.value)) return report.broken_xrefs.push({line: node.line, tag: node.tag, xref: node.value})
+      const citation = {id: `${datum.id}-C${(datum.citations || []).length+1}`, source_id: xrefToId(node.value), target_type: 'person'}
+      node.children.forEach(child => {
+        if (child.tag === 'PAGE') citation.page = child.value
+        else if (child.tag === 'NOTE') citation.note = child.value
+        else reportUnsupported(child, 'INDI.SOUR')
+      })
+      if (!datum.citations) datum.citations = []
+      datum.citations.push(citation)
+    } else if (node.tag === 'FAMC' || node.tag === 'FAMS') {
+      if (!fam_xrefs.includes(node.value)) report.broken_xrefs.push({line: node.line, tag: node.tag, xref: node.value})
+    } else if (!IGNORED_TAGS.includes(node.tag)) {
+      reportUnsupported(node, 'INDI')
+    }
+  }
+
+  function addAlternateName(datum, node, first_name, last_name) {
+    if (!first_name && !last_name) return
+    const type_node = node.children.find(child => child.tag === 'TYPE')
+    const type_value = type_node ? type_node.value.toLowerCase() : ''
+    const type = Object.keys(NAME_TYPE_TAGS).find(k => NAME_TYPE_TAGS[k] === type_value) || (type_value === 'maiden' ? 'birth' : 'alias')
+    const name = {id: `${datum.id}-N${(datum.names || []).length+1}`, type}
+    if (first_name) name.first_name = first_name
+    if (last_name) name.last_name = last_name
+    if (!datum.names) datum.names = []
+    datum.names.push(name)
+  }
+
+  function handleFamRecord(r) {
+    let husband, wife
+    const children = []
+    const events = {}
+    const partnership = {}
+    r.children.forEach(node => {
+      if (node.tag === 'HUSB' || node.tag === 'WIFE' || node.tag === 'CHIL') {
+        const person = persons[node.value]
+        if (!person) return report.broken_xrefs.push({line: node.line, tag: node.tag, xref: node.value})
+        if (node.tag === 'HUSB') husband = husband || person
+        else if (node.tag === 'WIFE') wife = wife || person
+        else children.push({child: person, line: node.line})
+      } else if (fam_event_fields[node.tag] || PARTNERSHIP_TAGS.includes(node.tag)) {
+        if (fam_event_fields[node.tag]) {
+          const date = node.children.find(child => child.tag === 'DATE')
+          events[fam_event_fields[node.tag]] = date ? date.value : node.value || ''
+        }
+        if (PARTNERSHIP_TAGS.includes(node.tag)) handlePartnershipEvent(partnership, node)
+      } else if (!IGNORED_TAGS.includes(node.tag)) {
+        reportUnsupported(node, 'FAM')
+      }
+    })
+
+    if (husband && wife) {
+      addUnique(husband.rels, 'spouses', wife.id)
+      addUnique(wife.rels, 'spouses', husband.id)
+      Object.keys(events).forEach(field_id => {
+        if (!events[field_id]) return
+        husband.data[`${field_id}__ref__${wife.id}`] = events[field_id]
+        wife.data[`${field_id}__ref__${husband.id}`] = events[field_id]
+      })
+      setPartnership(husband, wife, partnership)
+    }
+
+    children.forEach(({child, line}) => {
+      if (husband) setParent(child, 'father', husband, line)
+      if (wife) setParent(child, 'mother', wife, line)
+    })
+
+    // a child listed in more than one FAM keeps the parents of the first one
+    function setParent(child, rel_type, parent, line) {
+      if (child.rels[rel_type] && child.rels[rel_type] !== parent.id) {
+        return report.conflicting_parents.push({line, child_id: child.id, rel_type, kept_id: child.rels[rel_type], ignored_id: parent.id})
+      }
+      child.rels[rel_type] = parent.id
+      addUnique(parent.rels, 'children', child.id)
+    }
+  }
+
+  function handleSourRecord(r) {
+    if (!r.xref) return report.unsupported_tags.push({line: r.line, tag: 'SOUR', reason: 'SOUR record without xref'})
+    const source = {id: xrefToId(r.xref), data: {}}
+    r.children.forEach(node => {
+      if (SOURCE_FIELDS[node.tag]) source.data[SOURCE_FIELDS[node.tag]] = node.value
+      else if (!IGNORED_TAGS.includes(node.tag)) reportUnsupported(node, 'SOUR')
+    })
+    sources.push(source)
+  }
+
+  function handlePartnershipEvent(partnership, node) {
+    const value = tag => (node.children.find(child => child.tag === tag) || {}).value
+    if (PARTNERSHIP_START_TAGS[node.tag]) {
+      if (partnership.type === 'married' && node.tag === 'ENGA') return  // marriage wins over engagement
+      partnership.type = value('TYPE') || PARTNERSHIP_START_TAGS[node.tag]
+      partnership.start_date = value('DATE')
+      partnership.place = value('PLAC')
+    } else {
+      partnership.end_date = value('DATE')
+      partnership.end_reason = node.tag === 'DIV' ? 'divorce' : value('TYPE')
+    }
+    node.children.forEach(child => {
+      if (!['DATE', 'PLAC', 'TYPE'].includes(child.tag)) reportUnsupported(child, `FAM.${node.tag}`)
+    })
+  }
+
+  function reportUnsupported(node, parent_tag) {
+    report.unsupported_tags.push({line: node.line, tag: `${parent_tag}.${node.tag}`})
+  }
+}
+
+export function dataToGedcom(data, {fam_event_fields=FAM_EVENT_FIELDS, source='family-chart', sources=[]} = {}) {
+  const lines = []
+  const indi_xrefs = {}
+  const sour_xrefs = {}
+  data.forEach((d, i) => indi_xrefs[d.id] = `@I${i+1}@`)
+  sources.forEach((d, i) => sour_xrefs[d.id] = `@S${i+1}@`)
+  const families = createFamilies()
+
+  lines.push('0 HEAD', `1 SOUR ${source}`, '1 GEDC', '2 VERS 5.5.1', '2 FORM LINEAGE-LINKED', '1 CHAR UTF-8')
+  data.forEach(d => addIndi(d))
+  families.forEach(fam => addFam(fam))
+  sources.forEach(d => addSour(d))
+  lines.push('0 TRLR')
+
+  return lines.join('\n')
+
+  function createFamilies() {
+    const families = []
+    const families_by_key = {}
+    data.forEach(d => {
+      (d.rels.spouses || []).forEach(sp_id => {
+        if (indi_xrefs[sp_id]) getFamily(d.id, sp_id)
+      })
+      const father_id = indi_xrefs[d.rels.father] ? d.rels.father : null  // dangling references are not exported
+      const mother_id = indi_xrefs[d.rels.mother] ? d.rels.mother : null
+      if (father_id || mother_id) getFamily(father_id, mother_id).children.push(d.id)
+    })
+    families.forEach((fam, i) => fam.xref = `@F${i+1}@`)
+    return families
+
+    function getFamily(p1_id, p2_id) {
+      const key = [p1_id, p2_id].filter(id => id).sort().join('--')
+      if (!families_by_key[key]) {
+        const [husband_id, wife_id] = orderPartners(p1_id, p2_id)
+        families_by_key[key] = {husband_id, wife_id, children: []}
+        families.push(families_by_key[key])
+      }
+      return families_by_key[key]
+    }
+
+    function orderPartners(p1_id, p2_id) {
+      const p1 = data.find(d => d.id === p1_id)
+      const p2 = data.find(d => d.id === p2_id)
+      if (p1 && p1.data.gender === 'F' || p2 && p2.data.gender === 'M') return [p2_id, p1_id]
+      return [p1_id, p2_id]
+    }
+  }
+
+  function addIndi(d) {
+    const first_name = d.data['first name'] || ''
+    const last_name = d.data['last name'] || ''
+    lines.push(`0 ${indi_xrefs[d.id]} INDI`)
+    addName(1, first_name, last_name);
+    (d.names || []).forEach(name => {
+      addName(1, name.first_name || '', name.last_name || '')
+      addValue(2, 'TYPE', NAME_TYPE_TAGS[name.type] || name.type)
+    })
+    lines.push(`1 SEX ${['M', 'F'].includes(d.data.gender) ? d.data.gender : 'U'}`)
+    Object.keys(INDI_EVENT_FIELDS).forEach(tag => {
+      const fields = INDI_EVENT_FIELDS[tag]
+      const sub_tags = Object.keys(fields).filter(sub_tag => d.data[fields[sub_tag]])
+      if (sub_tags.length === 0) return
+      lines.push(`1 ${tag}`)
+      sub_tags.forEach(sub_tag => addValue(2, sub_tag, d.data[fields[sub_tag]]))
+    })
+    if (d.data.avatar) {
+      lines.push('1 OBJE')
+      addValue(2, 'FILE', d.data.avatar)
+    }
+    (d.citations || []).forEach(citation => {
+      if (!sour_xrefs[citation.source_id]) return
+      lines.push(`1 SOUR ${sour_xrefs[citation.source_id]}`)
+      if (citation.page) addValue(2, 'PAGE', citation.page)
+      if (citation.note) addValue(2, 'NOTE', citation.note)
+    })
+    families.forEach(fam => {
+      if (fam.children.includes(d.id)) lines.push(`1 FAMC ${fam.xref}`)
+      if (fam.husband_id === d.id || fam.wife_id === d.id) lines.push(`1 FAMS ${fam.xref}`)
+    })
+  }
+
+  function addFam(fam) {
+    lines.push(`0 ${fam.xref} FAM`)
+    if (fam.husband_id) lines.push(`1 HUSB ${indi_xrefs[fam.husband_id]}`)
+    if (fam.wife_id) lines.push(`1 WIFE ${indi_xrefs[fam.wife_id]}`)
+    fam.children.forEach(child_id => lines.push(`1 CHIL ${indi_xrefs[child_id]}`))
+    if (!fam.husband_id || !fam.wife_id) return
+    const husband = data.find(d => d.id === fam.husband_id)
+    const wife = data.find(d => d.id === fam.wife_id)
+    const partnership = Object.assign({}, getPartnership(husband, wife))
+    Object.keys(fam_event_fields).forEach(tag => {
+      const field_id = fam_event_fields[tag]
+      const value = husband.data[`${field_id}__ref__${wife.id}`] || wife.data[`${field_id}__ref__${husband.id}`]
+      if (!value) return
+      if (tag === 'MARR' && partnership.start_date) return  // the partnership record takes precedence over the date field
+      if (tag === 'DIV' && partnership.end_date) return
+      if (tag === 'MARR' && partnership.type !== 'engaged') {  // the same event as in the partnership record
+        partnership.type = partnership.type || 'married'
+        partnership.start_date = value
+      } else if (tag === 'DIV' && [undefined, 'divorce'].includes(partnership.end_reason)) {
+        partnership.end_reason = 'divorce'
+        partnership.end_date = value
+      } else {
+        lines.push(`1 ${tag}`)
+        addValue(2, 'DATE', value)
+      }
+    })
+    addPartnership(partnership)
+  }
+
+  function addSour(d) {
+    lines.push(`0 ${sour_xrefs[d.id]} SOUR`)
+    Object.keys(SOURCE_FIELDS).forEach(tag => {
+      if (d.data[SOURCE_FIELDS[tag]]) addValue(1, tag, d.data[SOURCE_FIELDS[tag]])
+    })
+  }
+
+  function addPartnership(partnership) {
+    if (!partnership) return
+    if (partnership.type || partnership.start_date || partnership.place) {
+      lines.push(`1 ${partnership.type === 'engaged' ? 'ENGA' : 'MARR'}`)
+      if (partnership.type === 'partner') addValue(2, 'TYPE', partnership.type)
+      if (partnership.start_date) addValue(2, 'DATE', partnership.start_date)
+      if (partnership.place) addValue(2, 'PLAC', partnership.place)
+    }
+    if (partnership.end_date || partnership.end_reason) {
+      const is_divorce = !partnership.end_reason || partnership.end_reason === 'divorce'
+      lines.push(`1 ${is_divorce ? 'DIV' : 'EVEN'}`)
+      if (!is_divorce) addValue(2, 'TYPE', partnership.end_reason)
+      if (partnership.end_date) addValue(2, 'DATE', partnership.end_date)
+    }
+  }
+
+  function addName(level, first_name, last_name) {
+    lines.push(`${level} NAME ${escapeValue(first_name)}${last_name ? ` /${escapeValue(last_name)}/` : ''}`.trim())
+    if (first_name) addValue(level+1, 'GIVN', first_name)
+    if (last_name) addValue(level+1, 'SURN', last_name)
+  }
+
+  function addValue(level, tag, value) {
+    escapeValue(value).split('\n').forEach((line_value, i) => {
+      const chunks = line_value.match(/(?:@@|.){1,200}/g) || ['']  // escaped @ is not split between lines
+      chunks.forEach((chunk, j) => {
+        if (i === 0 && j === 0) lines.push(`${level} ${tag} ${chunk}`)
+        else lines.push(`${level+1} ${j === 0 ? 'CONT' : 'CONC'} ${chunk}`)
+      })
+    })
+  }
+}
+
+function parseGedcomRecords(gedcom_text, report) {
+  const records = []
+  const stack = []
+  gedcom_text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line_text, i) => {
+    if (!line_text.trim()) return
+    const match = line_text.trim().match(/^(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/)
+    if (!match) return report.unsupported_tags.push({line: i+1, tag: null, reason: 'malformed line'})
+    const node = {line: i+1, level: +match[1], xref: match[2] || null, tag: match[3].toUpperCase(), value: (match[4] || '').replace(/@@/g, '@'), children: []}
+
+    while (stack.length > node.level) stack.pop()
+    if (node.level > stack.length) return report.unsupported_tags.push({line: node.line, tag: node.tag, reason: 'skipped level'})
+    if (node.level === 0) {
+      records.push(node)
+    } else {
+      const parent = stack[stack.length-1]
+      if (!parent) return report.unsupported_tags.push({line: node.line, tag: node.tag, reason: 'line without parent'})
+      if (node.tag === 'CONC') parent.value += node.value
+      else if (node.tag === 'CONT') parent.value += '\n' + node.value
+      else parent.children.push(node)
+    }
+    stack[node.level] = node
+    stack.length = node.level+1
+  })
+
+  return records
+}
+
+function parseGedcomName(node) {
+  const givn = node.children.find(child => child.tag === 'GIVN')
+  const surn = node.children.find(child => child.tag === 'SURN')
+  const [given_part, surname_part] = node.value.split('/')
+  return {
+    first_name: givn ? givn.value : (given_part || '').trim(),
+    last_name: surn ? surn.value : (surname_part || '').trim()
+  }
+}
+
+// @ in values is written as @@
+function escapeValue(value) {
+  return String(value).replace(/@/g, '@@')
+}
+
+function xrefToId(xref) {
+  return xref.replace(/@/g, '')
+}
+
+function addUnique(rels, key, id) {
+  if (!rels[key]) rels[key] = []
+  if (!rels[key].includes(id)) rels[key].push(id)
+}
@@ -1,51 +1,129 @@
 import d3 from "../d3.js"
 import * as icons from "../view/elements/Card.icons.js"
+import {diffData, diffDataOf, applyDataPatch} from "./dataDiff.js"
+
+export function createHistory(store, getStoreDataCopy, onUpdate, {max_depth=100} = {}) {
+  let patches = []
+  let history_index = 0
+  let current = null  // clean copy of the data at history_index, patches are applied to it when moving through history
+  let current_sources = []  // sources are few, so a patch keeps both versions of them when they change
 
-export function createHistory(store, getStoreDataCopy, onUpdate) {
-  let history = []
-  let history_index = -1
-  
   return {
     changed,
     back,
     forward,
     canForward,
-    canBack
+    canBack,
+    setMaxDepth,
+    getState,
+    setState,
+    getData,
+    getSources
   }
 
-  function changed() {
-    if (history_index < history.length - 1) history = history.slice(0, history_index+1)
-    const clean_data = getStoreDataCopy()
-    clean_data.main_id = store.getMainId()
-    history.push(clean_data)
-    history_index++
+  // ids are the persons that were edited, only they and their relatives are compared then,
+  // without ids the whole data is copied and compared
+  function changed(ids) {
+    if (history_index < patches.length) patches = patches.slice(0, history_index)
+    const main_id = store.getMainId()
+    const sources = JSON.parse(JSON.stringify(store.getSources()))
+    if (current && ids) {
+      const patch = {data: diffDataOf(current, store.getData(), ids), main_id: [current.main_id, main_id]}
+      applyDataPatch(current, patch.data)
+      current.main_id = main_id
+      patches.push(addSourcesChange(patch, sources))
+      trimPatches()
+    } else {
+      const clean_data = getStoreDataCopy()
+      clean_data.main_id = main_id
+      if (current) {
+        patches.push(addSourcesChange({data: diffData(current, clean_data), main_id: [current.main_id, main_id]}, sources))
+        trimPatches()
+      }
+      current = clean_data
+    }
+    current_sources = sources
+    history_index = patches.length
+  }
+
+  function addSourcesChange(patch, sources) {
+    if (JSON.stringify(sources) !== JSON.stringify(current_sources)) patch.sources = [current_sources, sources]
+    return patch
   }
 
   function back() {
     if (!canBack()) return
+    const patch = patches[history_index-1]
+    applyDataPatch(current, patch.data, true)
+    current.main_id = patch.main_id[0]
+    if (patch.sources) current_sources = patch.sources[0]
     history_index--
-    updateData(history[history_index])
+    updateData(current)
   }
 
   function forward() {
     if (!canForward()) return
+    const patch = patches[history_index]
+    applyDataPatch(current, patch.data)
+    current.main_id = patch.main_id[1]
+    if (patch.sources) current_sources = patch.sources[1]
     history_index++
-    updateData(history[history_index])
+    updateData(current)
   }
 
+  // the diff view shows a copy of the data that history can not be applied to
   function canForward() {
-    return history_index < history.length - 1
+    return history_index < patches.length && !store.state.diff_view
   }
 
   function canBack() {
-    return history_index > 0
+    return history_index > 0 && !store.state.diff_view
+  }
+
+  function setMaxDepth(depth) {
+    max_depth = depth
+    trimPatches()
+  }
+
+  function getState() {
+    return {patches, history_index}
+  }
+
+  // clean data at history_index, it is changed by the history so it has to be serialized right away
+  function getData() {
+    return current
+  }
+
+  function getSources() {
+    return current_sources
+  }
+
+  // data and sources are the clean data and sources at history_index
+  function setState(state, data, main_id, sources=[]) {
+    patches = state.patches
+    history_index = state.history_index
+    current = JSON.parse(JSON.stringify(data))
+    current.main_id = main_id
+    current_sources = JSON.parse(JSON.stringify(sources))
+    trimPatches()
+  }
+
+  // current is at history_index, so only the undo patches before it can be dropped from the start,
+  // when there are not enough of them the redo patches are dropped from the end
+  function trimPatches() {
+    if (patches.length <= max_depth) return
+    const overflow = Math.min(patches.length - max_depth, history_index)
+    patches = patches.slice(overflow, overflow + max_depth)
+    history_index -= overflow
   }
 
   function updateData(data) {
     const current_main_id = store.getMainId()
+    const main_id = data.main_id
     data = JSON.parse(JSON.stringify(data))
-    if (!data.find(d => d.id === current_main_id)) store.updateMainId(data.main_id)
+    if (!data.find(d => d.id === current_main_id)) store.updateMainId(main_id)
     store.updateData(data)
+    store.updateSources(JSON.parse(JSON.stringify(current_sources)))
     onUpdate()
   }
 }
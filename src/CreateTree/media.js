@@ -0,0 +1,76 @@
+import {generateUUID} from "./newPerson.js"
+import {normalizeDate} from "./dates.js"
+
+// media items are stored in datum.media as [{id, url, type: 'image' | 'document', caption, date, primary}]
+// the primary image is shown on the card instead of the cardImageField value
+
+export const MEDIA_PROPS = ['url', 'type', 'caption', 'date', 'primary']
+
+export function getMedia(datum, type) {
+  const media = datum.media || []
+  return type ? media.filter(m => m.type === type) : media
+}
+
+export function addMedia(datum, media_item) {
+  if (!media_item.url) return console.error('media url is not set')
+  const new_item = cleanupMedia(media_item)
+  if (!datum.media) datum.media = []
+  datum.media.push(new_item)
+  if (new_item.primary) setPrimaryMedia(datum, new_item.id)
+  return new_item
+}
+
+export function removeMedia(datum, media_id) {
+  if (!datum.media) return
+  datum.media = datum.media.filter(m => m.id !== media_id)
+  if (datum.media.length === 0) delete datum.media
+}
+
+export function setMedia(datum, media) {
+  const new_media = media.filter(m => m.url).map(cleanupMedia)
+  if (new_media.length > 0) datum.media = new_media
+  else delete datum.media
+}
+
+export function setPrimaryMedia(datum, media_id) {
+  getMedia(datum).forEach(m => {
+    if (m.id === media_id) m.primary = true
+    else delete m.primary
+  })
+}
+
+export function getPrimaryImage(datum) {
+  const primary = getMedia(datum, 'image').find(m => m.primary)
+  return primary ? primary.url : null
+}
+
+export function getCardImage(datum, cardImageField='avatar') {
+  return getPrimaryImage(datum) || datum.data[cardImageField] || null
+}
+
+export function mediaTypeFromUrl(url) {
+  if (/^data:image\//.test(url) || /\.(png|jpe?g|gif|webp|svg|bmp|avif)(\?.*)?$/i.test(url)) return 'image'
+  return 'document'
+}
+
+// data urls are stored with the data so they work offline, object urls only live until the page is closed
+export function readMediaFile(file, {as='data_url'} = {}) {
+  const type = file.type.startsWith('image/') ? 'image' : 'document'
+  if (as === 'object_url') return Promise.resolve({url: URL.createObjectURL(file), type, caption: file.name})
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve({url: reader.result, type, caption: file.name})
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+function cleanupMedia(media_item) {
+  const new_item = {id: media_item.id || generateUUID()}
+  MEDIA_PROPS.forEach(k => {
+    if (media_item[k]) new_item[k] = media_item[k]
+  })
+  if (!new_item.type) new_item.type = mediaTypeFromUrl(new_item.url)
+  if (new_item.date) new_item.date = normalizeDate(new_item.date)
+  return new_item
+}
@@ -0,0 +1,99 @@
+import {generateUUID} from "./newPerson.js"
+import {mergePersons, isGenderMismatch, REL_ARRAYS} from "./duplicates.js"
+
+// anchors are [{base_id, other_id}] pairs of the same person in both datasets, anchored persons are merged with mergePersons
+// other ids that are already used in base_data get a new id, the same for source ids, the input data is not changed
+// report: {added, merged, remapped: {old_id: new_id}, remapped_sources: {old_id: new_id}, conflicts, errors}
+export function mergeDatasets(base_data, other_data, anchors=[], {resolveConflict, base_sources=[], other_sources=[]} = {}) {
+  const data = JSON.parse(JSON.stringify(base_data))
+  const other = JSON.parse(JSON.stringify(other_data))
+  const sources = JSON.parse(JSON.stringify(base_sources))
+  const report = {added: [], merged: [], remapped: {}, remapped_sources: {}, conflicts: [], errors: []}
+  const base_ids = new Set(data.map(d => d.id))
+  const other_ids = new Set(other.map(d => d.id))
+
+  const id_map = {}
+  const anchor_ids = {}
+  anchors.forEach(({base_id, other_id}) => {
+    if (!base_ids.has(base_id)) return addError('missing_anchor', base_id, `anchor ${base_id} does not exist in base data`)
+    if (!other_ids.has(other_id)) return addError('missing_anchor', other_id, `anchor ${other_id} does not exist in other data`)
+    if (id_map[other_id]) return addError('duplicate_anchor', other_id, `${other_id} is anchored more than once`)
+    if (Object.values(id_map).includes(base_id)) return addError('duplicate_anchor', base_id, `${base_id} is anchored more than once`)
+    const base_datum = data.find(d => d.id === base_id)
+    const other_datum = other.find(d => d.id === other_id)
+    if (isGenderMismatch(base_datum, other_datum)) return addError('invalid_anchor', other_id, `${other_id} and ${base_id} have a different gender`)
+    id_map[other_id] = base_id
+    anchor_ids[other_id] = generateUUID()  // anchored person is added with a temporary id and merged into base_id
+  })
+
+  other.forEach(d => {
+    if (id_map[d.id]) return
+    id_map[d.id] = base_ids.has(d.id) ? generateUUID() : d.id
+    if (id_map[d.id] !== d.id) report.remapped[d.id] = id_map[d.id]
+  })
+
+  const source_ids = new Set(sources.map(source => source.id))
+  const source_id_map = {}
+  JSON.parse(JSON.stringify(other_sources)).forEach(source => {
+    source_id_map[source.id] = source_ids.has(source.id) ? generateUUID() : source.id
+    if (source_id_map[source.id] !== source.id) report.remapped_sources[source.id] = source_id_map[source.id]
+    source.id = source_id_map[source.id]
+    sources.push(source)
+  })
+
+  other.forEach(d => {
+    const other_id = d.id
+    remapIds(d, id_map, source_id_map)
+    d.id = anchor_ids[other_id] || id_map[other_id]
+    delete d.main
+    data.push(d)
+    if (!anchor_ids[other_id]) report.added.push(d.id)
+  })
+
+  Object.keys(anchor_ids).forEach(other_id => {
+    const base_id = id_map[other_id]
+    const merged = mergePersons(data, base_id, anchor_ids[other_id], {resolveConflict: (conflict, keep, drop) => {
+      const value = resolveConflict ? resolveConflict(conflict, keep, drop) : conflict.keep_value
+      report.conflicts.push({
+        base_id,
+        other_id,
+        field: conflict.field,
+        is_rel: !!conflict.is_rel,
+        base_value: conflict.keep_value,
+        other_value: conflict.drop_value,
+        value
+      })
+      return value
+    }})
+    if (merged) report.merged.push({base_id, other_id})
+    else addError('merge_failed', other_id, `${other_id} could not be merged into ${base_id}`)
+  })
+
+  return {data, sources, report}
+
+  function addError(type, id, message) {
+    report.errors.push({type, id, message})
+  }
+}
+
+function remapIds(d, id_map, source_id_map) {
+  const mapId = id => id_map[id] || id
+  if (d.rels.father) d.rels.father = mapId(d.rels.father)
+  if (d.rels.mother) d.rels.mother = mapId(d.rels.mother)
+  REL_ARRAYS.forEach(k => {
+    if (d.rels[k]) d.rels[k] = d.rels[k].map(mapId)
+  })
+  if (d.partnerships) {
+    d.partnerships = Object.fromEntries(Object.entries(d.partnerships).map(([sp_id, p]) => [mapId(sp_id), p]))
+  }
+  Object.keys(d.data).forEach(key => {
+    const ref = key.match(/^(.+)__ref__(.+)$/)
+    if (!ref || mapId(ref[2]) === ref[2]) return
+    d.data[`${ref[1]}__ref__${mapId(ref[2])}`] = d.data[key]
+    delete d.data[key]
+  });
+  (d.citations || []).forEach(c => {
+    c.source_id = source_id_map[c.source_id] || c.source_id
+    if (c.target_type === 'partnership') c.target_id = mapId(c.target_id)
+  })
+}
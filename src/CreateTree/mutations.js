@@ -0,0 +1,130 @@
+import {handleRelsOfNewDatum, createNewPersonWithGenderFromRel, addNewPerson} from "./newPerson.js"
+import {syncRelReference} from "./form.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+import {setPartnership, removePartnership} from "./partnerships.js"
+
+const REL_TYPES = ['father', 'mother', 'spouse', 'son', 'daughter']
+
+export function addRelative(data, person_id, rel_type, new_data={}, {other_parent_id}={}) {
+  const rel_datum = data.find(d => d.id === person_id)
+  if (!rel_datum) return console.error(`person ${person_id} not found`)
+  if (!REL_TYPES.includes(rel_type)) return console.error(`rel_type ${rel_type} is not one of ${REL_TYPES.join(', ')}`)
+
+  if (rel_type === 'father' || rel_type === 'mother') {
+    const parent = data.find(d => d.id === rel_datum.rels[rel_type])
+    if (parent && !parent.to_add) return console.error(`${person_id} already has ${rel_type} ${parent.id}`)
+  }
+  if (other_parent_id && !['son', 'daughter'].includes(rel_type)) return console.error('other_parent_id can only be set for son or daughter')
+  if (other_parent_id && other_parent_id !== '_new' && !(rel_datum.rels.spouses || []).includes(other_parent_id)) {
+    return console.error(`other parent ${other_parent_id} is not a spouse of ${person_id}`)
+  }
+
+  const datum = createNewPersonWithGenderFromRel({data: JSON.parse(JSON.stringify(new_data)), rel_type, rel_datum})
+  if (new_data.gender) datum.data.gender = new_data.gender
+  if (other_parent_id) datum.data.other_parent = other_parent_id
+  addNewPerson({data_stash: data, datum})
+  handleRelsOfNewDatum({datum, data_stash: data, rel_type, rel_datum})
+  syncRelReference(datum, data)
+
+  return datum
+}
+
+export function removeRelationship(data, a_id, b_id, {children_to}={}) {
+  const datum = data.find(d => d.id === a_id)
+  const rel_datum = data.find(d => d.id === b_id)
+  if (!datum || !rel_datum) return console.error(`person ${!datum ? a_id : b_id} not found`)
+  const rel_type = getRelType(datum, b_id)
+  if (!rel_type) return console.error(`${a_id} and ${b_id} are not directly related`)
+
+  if (rel_type === 'father' || rel_type === 'mother') removeParentRel(datum, rel_type, data)
+  else if (rel_type === 'spouse') removeSpouseRel(datum, rel_datum, (children_to || a_id) === a_id, data)
+  else if (rel_type === 'children') removeChildRel(datum, rel_datum)
+  else if (PARENT_TYPES[rel_type]) unlinkParentOfType(datum, rel_datum, rel_type)
+  else if (PARENT_TYPES[rel_type.replace('_child', '')]) unlinkParentOfType(rel_datum, datum, rel_type.replace('_child', ''))
+
+  return true
+}
+
+// parent_type is one of PARENT_TYPES keys: adoptive, step, foster
+export function linkParentOfType(data, child_id, parent_id, parent_type) {
+  const child = data.find(d => d.id === child_id)
+  const parent = data.find(d => d.id === parent_id)
+  if (!child || !parent) return console.error(`person ${!child ? child_id : parent_id} not found`)
+  if (!PARENT_TYPES[parent_type]) return console.error(`parent_type ${parent_type} is not one of ${Object.keys(PARENT_TYPES).join(', ')}`)
+  if (child_id === parent_id) return console.error(`${child_id} can not be their own parent`)
+  const {parents, children} = PARENT_TYPES[parent_type]
+  if (!child.rels[parents]) child.rels[parents] = []
+  if (!parent.rels[children]) parent.rels[children] = []
+  if (!child.rels[parents].includes(parent_id)) child.rels[parents].push(parent_id)
+  if (!parent.rels[children].includes(child_id)) parent.rels[children].push(child_id)
+  return true
+}
+
+export function unlinkParentOfType(child, parent, parent_type) {
+  const {parents, children} = PARENT_TYPES[parent_type]
+  child.rels[parents] = (child.rels[parents] || []).filter(id => id !== parent.id)
+  parent.rels[children] = (parent.rels[children] || []).filter(id => id !== child.id)
+  if (child.rels[parents].length === 0) delete child.rels[parents]
+  if (parent.rels[children].length === 0) delete parent.rels[children]
+}
+
+// partnership null removes the record, the spouse link stays
+export function updatePartnership(data, a_id, b_id, partnership) {
+  const datum = data.find(d => d.id === a_id)
+  const spouse = data.find(d => d.id === b_id)
+  if (!datum || !spouse) return console.error(`person ${!datum ? a_id : b_id} not found`)
+  if (!(datum.rels.spouses || []).includes(b_id)) return console.error(`${a_id} and ${b_id} are not spouses`)
+  return setPartnership(datum, spouse, partnership) || null
+}
+
+export function getRelType(datum, rel_id) {
+  if (datum.rels.father === rel_id) return 'father'
+  if (datum.rels.mother === rel_id) return 'mother'
+  if ((datum.rels.spouses || []).includes(rel_id)) return 'spouse'
+  if ((datum.rels.children || []).includes(rel_id)) return 'children'
+  const parent_type = Object.keys(PARENT_TYPES).find(k => (datum.rels[PARENT_TYPES[k].parents] || []).includes(rel_id))
+  if (parent_type) return parent_type
+  const child_type = Object.keys(PARENT_TYPES).find(k => (datum.rels[PARENT_TYPES[k].children] || []).includes(rel_id))
+  if (child_type) return `${child_type}_child`
+  return null
+}
+
+export function removeParentRel(datum, rel_type, data) {
+  const parent = data.find(d => d.id === datum.rels[rel_type])
+  parent.rels.children = parent.rels.children.filter(id => id !== datum.id)
+  datum.rels[rel_type] = null
+}
+
+export function removeChildRel(datum, child) {
+  datum.rels.children = datum.rels.children.filter(id => id !== child.id)
+  const datum_rel_type = child.rels.father === datum.id ? 'father' : 'mother'
+  child.rels[datum_rel_type] = null
+}
+
+// shared children stay with datum if to_current is true, otherwise with spouse
+export function removeSpouseRel(datum, spouse, to_current, data) {
+  const rels = datum.rels
+  spouse.rels.spouses = spouse.rels.spouses.filter(id => id !== datum.id)
+  rels.spouses = rels.spouses.filter(id => id !== spouse.id);
+  removePartnership(datum, spouse)
+  const other_parent = to_current ? spouse : datum
+  const shared_children = (rels.children || []).filter(id => (spouse.rels.children || []).includes(id))
+  shared_children.forEach(id => {
+    const child = data.find(d => d.id === id)
+    if (child.rels.father === other_parent.id) child.rels.father = null
+    if (child.rels.mother === other_parent.id) child.rels.mother = null
+  })
+  if (other_parent.rels.children) {
+    other_parent.rels.children = other_parent.rels.children.filter(ch_id => !shared_children.includes(ch_id))
+  }
+}
+
+export function hasChildrenWithSpouse(spouse, data) {
+  const children = spouse.rels.children || []
+  return children.some(ch_id => {
+    const child = data.find(d => d.id === ch_id)
+    if (child.rels.father === spouse.id) return true
+    if (child.rels.mother === spouse.id) return true
+    return false
+  })
+}
@@ -0,0 +1,71 @@
+import {generateUUID} from "./newPerson.js"
+
+// the current name stays in data['first name'] and data['last name'],
+// other names are stored in datum.names as [{id, type, first_name, last_name}]
+
+export const NAME_TYPES = [
+  {value: 'birth', label: 'Birth name'},
+  {value: 'married', label: 'Married name'},
+  {value: 'alias', label: 'Alias'},
+  {value: 'romanized', label: 'Romanized'},
+]
+
+export const NAME_DISPLAY_RULES = {
+  default: (first_name, last_name) => [first_name, last_name],
+  birth_surname_in_parentheses: (first_name, last_name, birth_last_name) => {
+    const birth = birth_last_name && birth_last_name !== last_name ? `(${birth_last_name})` : ''
+    return [first_name, last_name, birth]
+  },
+  surname_first: (first_name, last_name) => [last_name, first_name],
+}
+
+export function getNames(datum, type) {
+  const names = datum.names || []
+  return type ? names.filter(n => n.type === type) : names
+}
+
+export function addName(datum, name) {
+  if (!name.first_name && !name.last_name) return console.error('name is empty')
+  const new_name = cleanupName(name)
+  if (!datum.names) datum.names = []
+  datum.names.push(new_name)
+  return new_name
+}
+
+export function removeName(datum, name_id) {
+  if (!datum.names) return
+  datum.names = datum.names.filter(n => n.id !== name_id)
+  if (datum.names.length === 0) delete datum.names
+}
+
+export function setNames(datum, names) {
+  const new_names = names.filter(n => n.first_name || n.last_name).map(cleanupName)
+  if (new_names.length > 0) datum.names = new_names
+  else delete datum.names
+}
+
+// rule is a key of NAME_DISPLAY_RULES or a function (first_name, last_name, birth_last_name, datum) => [parts]
+export function formatName(datum, rule='default') {
+  const ruleFunction = typeof rule === 'function' ? rule : NAME_DISPLAY_RULES[rule]
+  if (!ruleFunction) {
+    console.error(`name display rule ${rule} is not one of ${Object.keys(NAME_DISPLAY_RULES).join(', ')}`)
+    return formatName(datum)
+  }
+  const birth_name = getNames(datum, 'birth')[0]
+  const parts = ruleFunction(datum.data['first name'], datum.data['last name'], birth_name ? birth_name.last_name : undefined, datum)
+  return parts.filter(part => part).join(' ')
+}
+
+// every name of the person as "first last", current name first
+export function getAllNameStrings(datum) {
+  const names = [[datum.data['first name'], datum.data['last name']], ...getNames(datum).map(n => [n.first_name, n.last_name])]
+  const name_strings = names.map(parts => parts.filter(part => part).join(' ')).filter(name => name)
+  return [...new Set(name_strings)]
+}
+
+function cleanupName(name) {
+  const new_name = {id: name.id || generateUUID(), type: name.type || 'alias'}
+  if (name.first_name) new_name.first_name = name.first_name
+  if (name.last_name) new_name.last_name = name.last_name
+  return new_name
+}
@@ -9,8 +9,9 @@ export function handleRelsOfNewDatum({datum, data_stash, rel_type, rel_datum}) {
     if (datum.data.other_parent) {
       addChildToSpouseAndParentToChild(datum.data.other_parent)
       delete datum.data.other_parent
+    } else {
+      datum.rels[getParentSlot(datum, rel_datum)] = rel_datum.id
     }
-    datum.rels[rel_datum.data.gender === 'M' ? 'father' : 'mother'] = rel_datum.id
     if (!rel_datum.rels.children) rel_datum.rels.children = []
     rel_datum.rels.children.push(datum.id)
     return datum
@@ -19,7 +20,9 @@ export function handleRelsOfNewDatum({datum, data_stash, rel_type, rel_datum}) {
       if (spouse_id === "_new") spouse_id = addOtherParent().id;
 
       const spouse = data_stash.find(d => d.id === spouse_id)
-      datum.rels[spouse.data.gender === 'M' ? 'father' : 'mother'] = spouse.id
+      const [father_id, mother_id] = orderParentIds(rel_datum, spouse, data_stash)
+      datum.rels.father = father_id
+      datum.rels.mother = mother_id
       if (!spouse.rels.hasOwnProperty('children')) spouse.rels.children = []
       spouse.rels.children.push(datum.id)
 
@@ -33,7 +36,7 @@ export function handleRelsOfNewDatum({datum, data_stash, rel_type, rel_datum}) {
   }
 
   function addParent(datum) {
-    const is_father = datum.data.gender === "M",
+    const is_father = rel_type === "father",
       parent_to_add_id = rel_datum.rels[is_father ? 'father' : 'mother'];
     if (parent_to_add_id) removeToAdd(data_stash.find(d => d.id === parent_to_add_id), data_stash)
     addNewParent()
@@ -82,10 +85,37 @@ export function createNewPersonWithGenderFromRel({data, rel_type, rel_datum}) {
   return createNewPerson({data})
 
   function getGenderFromRelative(rel_datum, rel_type) {
-    return (["daughter", "mother"].includes(rel_type) || rel_type === "spouse" && rel_datum.data.gender === "M") ? "F" : "M"
+    if (rel_type === "spouse") return getOppositeGender(rel_datum.data.gender)
+    return ["daughter", "mother"].includes(rel_type) ? "F" : "M"
   }
 }
 
+export function getOppositeGender(gender) {
+  if (gender === "M") return "F"
+  if (gender === "F") return "M"
+  return undefined
+}
+
+// father and mother are parent slots, gender only decides which slot is preferred
+export function getParentSlot(child, parent) {
+  if (child.rels.father === parent.id) return "father"
+  if (child.rels.mother === parent.id) return "mother"
+  const preferred = parent.data.gender === "F" ? "mother" : "father"
+  const other = preferred === "father" ? "mother" : "father"
+  if (!child.rels[preferred]) return preferred
+  if (!child.rels[other]) return other
+  return null
+}
+
+export function orderParentIds(parent1, parent2, data_stash) {
+  const shared_child = (parent1.rels.children || [])
+    .map(id => data_stash.find(d => d.id === id))
+    .find(d => d && [d.rels.father, d.rels.mother].includes(parent2.id))
+  if (shared_child) return shared_child.rels.father === parent1.id ? [parent1.id, parent2.id] : [parent2.id, parent1.id]
+  if (parent1.data.gender === "F" || parent2.data.gender === "M") return [parent2.id, parent1.id]
+  return [parent1.id, parent2.id]
+}
+
 export function addNewPerson({data_stash, datum}) {
   data_stash.push(datum)
 }
@@ -99,7 +129,7 @@ export function addNewPersonAndHandleRels({datum, data_stash, rel_type, rel_datu
   handleRelsOfNewDatum({datum, data_stash, rel_type, rel_datum})
 }
 
-function generateUUID() {
+export function generateUUID() {
   var d = new Date().getTime();
   var d2 = (performance && performance.now && (performance.now()*1000)) || 0;//Time in microseconds since page-load or 0 if unsupported
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
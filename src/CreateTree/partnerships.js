@@ -0,0 +1,79 @@
+import {dateYear, dateSortValue} from "./dates.js"
+
+// a partnership record is stored once per couple, in datum.partnerships[spouse_id] of one of the two spouses
+// {type: 'married' | 'partner' | 'engaged', start_date, end_date, end_reason, place}
+
+export const PARTNERSHIP_TYPES = [
+  {value: 'married', label: 'Married'},
+  {value: 'partner', label: 'Partner'},
+  {value: 'engaged', label: 'Engaged'},
+]
+
+export const PARTNERSHIP_PROPS = ['type', 'start_date', 'end_date', 'end_reason', 'place']
+
+export function getPartnership(datum, spouse) {
+  if (datum.partnerships && datum.partnerships[spouse.id]) return datum.partnerships[spouse.id]
+  if (spouse.partnerships && spouse.partnerships[datum.id]) return spouse.partnerships[datum.id]
+  return null
+}
+
+export function setPartnership(datum, spouse, partnership) {
+  const owner = spouse.partnerships && spouse.partnerships[datum.id] ? spouse : datum
+  const other = owner === datum ? spouse : datum
+  const record = {}
+  PARTNERSHIP_PROPS.forEach(k => {
+    if (partnership && partnership[k]) record[k] = partnership[k]
+  })
+  removePartnership(other, owner)
+  if (Object.keys(record).length === 0) return removePartnership(owner, other)
+  if (!owner.partnerships) owner.partnerships = {}
+  owner.partnerships[other.id] = record
+  return record
+}
+
+export function removePartnership(datum, spouse) {
+  [[datum, spouse], [spouse, datum]].forEach(([d, sp]) => {
+    if (!d.partnerships) return
+    delete d.partnerships[sp.id]
+    if (Object.keys(d.partnerships).length === 0) delete d.partnerships
+  })
+}
+
+export function renamePartnershipId(data, old_id, new_id) {
+  data.forEach(d => {
+    if (!d.partnerships || !d.partnerships[old_id]) return
+    if (d.id !== new_id && !d.partnerships[new_id]) d.partnerships[new_id] = d.partnerships[old_id]
+    delete d.partnerships[old_id]
+    if (Object.keys(d.partnerships).length === 0) delete d.partnerships
+  })
+}
+
+export function removePartnershipsOf(datum, data) {
+  data.forEach(d => {if (d !== datum) removePartnership(d, datum)})
+  delete datum.partnerships
+}
+
+// spouse ids ordered by partnership start date, spouses without a start date keep their order after the dated ones
+export function getSortedSpouseIds(datum, getDatum) {
+  const spouse_ids = datum.rels.spouses || []
+  const sort_values = new Map(spouse_ids.map(sp_id => {
+    const spouse = getDatum(sp_id)
+    const partnership = spouse ? getPartnership(datum, spouse) : null
+    return [sp_id, partnership ? dateSortValue(partnership.start_date) : Infinity]
+  }))
+  return spouse_ids.slice(0).sort((a, b) => {
+    const a_value = sort_values.get(a)
+    const b_value = sort_values.get(b)
+    if (a_value === b_value) return 0
+    return a_value < b_value ? -1 : 1
+  })
+}
+
+export function partnershipLabel(partnership) {
+  if (!partnership) return ''
+  const type = PARTNERSHIP_TYPES.find(t => t.value === partnership.type)
+  const years = [partnership.start_date, partnership.end_date].map(date => dateYear(date) || '')
+  let label = type ? type.label : ''
+  if (years[0] || years[1]) label += ` ${years[0] || '?'}${years[1] ? `–${years[1]}` : ''}`
+  return label.trim()
+}
@@ -0,0 +1,61 @@
+// persistence adapter interface: {load: () => Promise<state|null>, save: state => Promise, clear: () => Promise}
+// save has to copy or serialize the state before it returns, the data in it is changed by later edits
+
+export function localStorageAdapter({key='f3-edit-tree'} = {}) {
+  return {load, save, clear}
+
+  function load() {
+    return new Promise(resolve => {
+      const state = localStorage.getItem(key)
+      resolve(state ? JSON.parse(state) : null)
+    })
+  }
+
+  function save(state) {
+    return new Promise(resolve => resolve(localStorage.setItem(key, JSON.stringify(state))))
+  }
+
+  function clear() {
+    return new Promise(resolve => resolve(localStorage.removeItem(key)))
+  }
+}
+
+export function indexedDbAdapter({db_name='family-chart', store_name='edit-tree', key='state'} = {}) {
+  let db_promise = null
+  return {load, save, clear}
+
+  function load() {
+    return request('readonly', store => store.get(key)).then(state => typeof state === 'string' ? JSON.parse(state) : state || null)
+  }
+
+  // state is serialized right away, it can change before the database is opened
+  function save(state) {
+    const json = JSON.stringify(state)
+    return request('readwrite', store => store.put(json, key))
+  }
+
+  function clear() {
+    return request('readwrite', store => store.delete(key))
+  }
+
+  function request(mode, createRequest) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(store_name, mode)
+      const req = createRequest(transaction.objectStore(store_name))
+      transaction.oncomplete = () => resolve(req.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    }))
+  }
+
+  function openDb() {
+    if (db_promise) return db_promise
+    db_promise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(db_name, 1)
+      req.onupgradeneeded = () => req.result.createObjectStore(store_name)
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    return db_promise
+  }
+}
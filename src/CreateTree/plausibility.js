@@ -0,0 +1,89 @@
+import {getEvent, getEvents} from "./events.js"
+import {getDateBounds} from "./dates.js"
+import {getPartnership} from "./partnerships.js"
+
+// a problem is only reported when it holds for every possible reading of an approximate or partial date
+export function checkPlausibility(data, {
+  min_parent_age=12,
+  max_parent_age=70,
+  max_age=120,
+  current_year=new Date().getFullYear()
+} = {}) {
+  const problems = []
+  const data_index = new Map(data.map(d => [d.id, d]))
+
+  data.forEach(d => {
+    if (d.to_add || d.unknown || d._new_rel_data) return
+    const birth = getBounds(d, 'birth')
+    const death = getBounds(d, 'death')
+
+    if (birth && death && death.max < birth.min) {
+      addProblem('death_before_birth', d, null, `${name(d)} died before they were born`)
+    }
+
+    if (birth && !isDeceased(d) && current_year - birth.max > max_age) {
+      addProblem('too_old_not_deceased', d, null, `${name(d)} would be older than ${max_age} but is not marked as deceased`)
+    }
+
+    [d.rels.father, d.rels.mother].forEach(parent_id => {
+      const parent = data_index.get(parent_id)
+      if (!parent || !birth) return
+      const parent_birth = getBounds(parent, 'birth')
+      if (!parent_birth) return
+      if (birth.max < parent_birth.min) {
+        addProblem('child_born_before_parent', d, parent, `${name(d)} was born before their parent ${name(parent)}`)
+      } else if (birth.max - parent_birth.min < min_parent_age) {
+        addProblem('parent_too_young', d, parent, `${name(parent)} was younger than ${min_parent_age} at the birth of ${name(d)}`)
+      } else if (birth.min - parent_birth.max > max_parent_age) {
+        addProblem('parent_too_old', d, parent, `${name(parent)} was older than ${max_parent_age} at the birth of ${name(d)}`)
+      }
+    })
+
+    if (death) {
+      getMarriageDates(d).forEach(({date, spouse}) => {
+        const marriage = getDateBounds(date)
+        if (!marriage || marriage.min <= death.max) return
+        addProblem('marriage_after_death', d, spouse, `${name(d)} married${spouse ? ` ${name(spouse)}` : ''} after their death`)
+      })
+    }
+  })
+
+  return problems
+
+  function addProblem(type, d, rel, message) {
+    problems.push({type, id: d.id, rel_id: rel ? rel.id : null, message})
+  }
+
+  function getMarriageDates(d) {
+    const dates = getEvents(d, 'marriage').filter(e => e.date).map(e => ({date: e.date, spouse: null}));
+    (d.rels.spouses || []).forEach(sp_id => {
+      const spouse = data_index.get(sp_id)
+      const partnership = spouse ? getPartnership(d, spouse) : null
+      if (partnership && partnership.start_date) dates.push({date: partnership.start_date, spouse})
+    })
+    return dates
+  }
+
+  function name(d) {
+    const full_name = [d.data['first name'], d.data['last name']].filter(v => v).join(' ')
+    return full_name || d.id
+  }
+}
+
+export function groupPlausibilityProblems(problems) {
+  const problems_by_id = new Map()
+  problems.forEach(problem => {
+    if (!problems_by_id.has(problem.id)) problems_by_id.set(problem.id, [])
+    problems_by_id.get(problem.id).push(problem)
+  })
+  return problems_by_id
+}
+
+function getBounds(d, type) {
+  const event = getEvent(d, type)
+  return event && event.date ? getDateBounds(event.date) : null
+}
+
+function isDeceased(d) {
+  return !!getEvent(d, 'death') || !!d.data.deceased
+}
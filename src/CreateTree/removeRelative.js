@@ -1,4 +1,5 @@
 import d3 from '../d3.js'
+import {removeParentRel, removeChildRel, removeSpouseRel, hasChildrenWithSpouse} from './mutations.js'
 
 export default (...args) => { return new RemoveRelative(...args) }
 
@@ -37,44 +38,29 @@ RemoveRelative.prototype.activate = function(datum) {
   function onChange(rel_tree_datum, onAccept) {
     const rel_type = findRelType(rel_tree_datum)
 
-    const rels = datum.rels
     if (rel_type === 'father') handleFatherRemoval.call(this)
     else if (rel_type === 'mother') handleMotherRemoval.call(this)
     else if (rel_type === 'spouse') handleSpouseRemoval.call(this)
     else if (rel_type === 'children') handleChildrenRemoval.call(this)
 
     function handleFatherRemoval() {
-      const father = store.getDatum(rels.father)
-      father.rels.children = father.rels.children.filter(id => id !== datum.id)
-      rels.father = null
+      removeParentRel(datum, 'father', store.getData())
       onAccept()
     }
 
     function handleMotherRemoval() {
-      const mother = store.getDatum(rels.mother)
-      mother.rels.children = mother.rels.children.filter(id => id !== datum.id)
-      rels.mother = null
+      removeParentRel(datum, 'mother', store.getData())
       onAccept()
     }
 
     function handleSpouseRemoval() {
       const spouse = rel_tree_datum.data
-      if (checkIfChildrenWithSpouse()) openModal.call(this)
+      if (hasChildrenWithSpouse(spouse, store.getData())) openModal.call(this)
       else remove.call(this, true)
-      
-      function checkIfChildrenWithSpouse() {
-        const children = spouse.rels.children || []
-        return children.some(ch_id => {
-          const child = store.getDatum(ch_id)
-          if (child.rels.father === spouse.id) return true
-          if (child.rels.mother === spouse.id) return true
-          return false
-        })
-      }
 
       function openModal() {
-        const current_gender_class = datum.data.gender === 'M' ? 'f3-male-bg' : datum.data.gender === 'F' ? 'f3-female-bg' : null
-        const spouse_gender_class = spouse.data.gender === 'M' ? 'f3-male-bg' : spouse.data.gender === 'F' ? 'f3-female-bg' : null
+        const current_gender_class = datum.data.gender === 'M' ? 'f3-male-bg' : datum.data.gender === 'F' ? 'f3-female-bg' : 'f3-genderless-bg'
+        const spouse_gender_class = spouse.data.gender === 'M' ? 'f3-male-bg' : spouse.data.gender === 'F' ? 'f3-female-bg' : 'f3-genderless-bg'
   
         const div = d3.create('div').html(`
           <p>You are removing a spouse relationship. Since there are shared children, please choose which parent should keep them in the family tree.</p>
@@ -98,26 +84,13 @@ RemoveRelative.prototype.activate = function(datum) {
       }
       
       function remove(to_current) {
-        rel_tree_datum.data.rels.spouses = rel_tree_datum.data.rels.spouses.filter(id => id !== datum.id)
-        rels.spouses = rels.spouses.filter(id => id !== rel_tree_datum.data.id);
-        const childrens_parent = to_current ? datum : rel_tree_datum.data
-        const other_parent = to_current ? rel_tree_datum.data : datum;
-        (rels.children || []).forEach(id => {
-          const child = store.getDatum(id)
-          if (child.rels.father === other_parent.id) child.rels.father = null
-          if (child.rels.mother === other_parent.id) child.rels.mother = null
-        })
-        if (other_parent.rels.children) {
-          other_parent.rels.children = other_parent.rels.children.filter(ch_id => !(childrens_parent.rels.children || []).includes(ch_id))
-        }
+        removeSpouseRel(datum, spouse, to_current, store.getData())
         onAccept()
       }
     }
 
     function handleChildrenRemoval() {
-      rels.children = rels.children.filter(id => id !== rel_tree_datum.data.id)
-      const datum_rel_type = rel_tree_datum.data.rels.father === datum.id ? 'father' : 'mother'
-      rel_tree_datum.data.rels[datum_rel_type] = null
+      removeChildRel(datum, rel_tree_datum.data)
       onAccept()
     }
 
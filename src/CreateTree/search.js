@@ -0,0 +1,148 @@
+import {getAllNameStrings} from "./names.js"
+import {getEventValue} from "./events.js"
+
+// accent and case insensitive matching, "Muller" finds "Müller" and with one typo allowed also "Mueller"
+// a query matches when every word of it matches one of the texts, exactly or fuzzy
+
+const FOLDED_CHARS = {'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'þ': 'th', 'ı': 'i'}
+
+export function foldText(text) {
+  return foldWithIndex(text).folded
+}
+
+// returns {score, matches: [{index, ranges: [[start, end]]}]} where index is the index of the matched text, or null
+export function matchTexts(query, texts) {
+  const terms = foldText(query).split(/\s+/).filter(term => term)
+  if (terms.length === 0) return {score: 0, matches: []}
+  const folded_texts = texts.map(text => foldWithIndex(String(text || '')))
+  const matches = []
+  let score = 0
+
+  for (const term of terms) {
+    let best = null
+    folded_texts.forEach((folded_text, index) => {
+      const term_match = matchTerm(term, folded_text.folded)
+      if (term_match && (!best || term_match.score > best.score)) best = {...term_match, index}
+    })
+    if (!best) return null
+    score += best.score
+    const range = toOriginalRange(folded_texts[best.index], best.start, best.end)
+    const match = matches.find(m => m.index === best.index)
+    if (match) match.ranges.push(range)
+    else matches.push({index: best.index, ranges: [range]})
+  }
+
+  matches.forEach(match => match.ranges = mergeRanges(match.ranges))
+  return {score, matches}
+}
+
+export function highlightText(text, ranges, tag='strong') {
+  let html = ''
+  let last = 0
+  ranges.forEach(([start, end]) => {
+    html += text.substring(last, start) + `<${tag}>` + text.substring(start, end) + `</${tag}>`
+    last = end
+  })
+  return html + text.substring(last)
+}
+
+// fields are data field ids, event display keys like "birth place" or functions d => text
+export function getSearchTexts(datum, fields=[]) {
+  const texts = [...getAllNameStrings(datum)]
+  fields.forEach(field => {
+    const value = typeof field === 'function' ? field(datum) : (datum.data[field] || getEventValue(datum, field))
+    if (value && !texts.includes(String(value))) texts.push(String(value))
+  })
+  return texts
+}
+
+export function searchPersons(data, query, {fields=[], limit=Infinity} = {}) {
+  const results = []
+  data.forEach(d => {
+    if (d.to_add || d.unknown || d._new_rel_data) return
+    const texts = getSearchTexts(d, fields)
+    const match = matchTexts(query, texts)
+    if (!match) return
+    results.push({
+      id: d.id,
+      datum: d,
+      score: match.score,
+      matches: match.matches.map(m => ({text: texts[m.index], ranges: m.ranges}))
+    })
+  })
+  results.sort((a, b) => b.score - a.score)
+  return results.slice(0, limit)
+}
+
+// 1 for texts that are equal after folding, 0 for completely different texts
+export function textSimilarity(a, b) {
+  const folded_a = foldText(String(a || '')).trim()
+  const folded_b = foldText(String(b || '')).trim()
+  if (!folded_a || !folded_b) return 0
+  return 1 - editDistance(folded_a, folded_b) / Math.max(folded_a.length, folded_b.length)
+}
+
+function matchTerm(term, text) {
+  const words = []
+  text.replace(/[^\s\-,./()]+/g, (word, start) => words.push({word, start}))
+
+  const index = text.indexOf(term)
+  if (index !== -1) {
+    const word = words.find(w => w.start === index)
+    if (!word) return {score: 0.5, start: index, end: index + term.length}
+    return {score: word.word === term ? 1.5 : 1, start: index, end: index + term.length}
+  }
+
+  const max_errors = term.length < 4 ? 0 : term.length < 8 ? 1 : 2
+  if (max_errors === 0) return null
+  let best = null
+  words.forEach(({word, start}) => {
+    for (let length = term.length - max_errors; length <= term.length + max_errors; length++) {
+      if (length > word.length) break
+      const errors = editDistance(term, word.substring(0, length))
+      if (errors > max_errors) continue
+      if (!best || errors < best.errors) best = {errors, start, end: start + length}
+    }
+  })
+  if (!best) return null
+  return {score: 0.8 / (1 + best.errors), start: best.start, end: best.end}
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({length: b.length + 1}, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i]
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1))
+    }
+    prev = curr
+  }
+  return prev[b.length]
+}
+
+// folded text with the index of the original character for every folded character
+function foldWithIndex(text) {
+  let folded = ''
+  const index = []
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i].toLowerCase()
+    const folded_char = FOLDED_CHARS[char] || char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    folded += folded_char
+    for (let j = 0; j < folded_char.length; j++) index.push(i)
+  }
+  return {folded, index}
+}
+
+function toOriginalRange({index}, start, end) {
+  return [index[start], index[end-1] + 1]
+}
+
+function mergeRanges(ranges) {
+  const merged = []
+  ranges.sort((a, b) => a[0] - b[0]).forEach(range => {
+    const last = merged[merged.length-1]
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+    else merged.push([...range])
+  })
+  return merged
+}
@@ -0,0 +1,90 @@
+import {generateUUID} from "./newPerson.js"
+
+// sources are stored in their own list next to the persons: store.state.sources = [{id, data: {title, author, repository, url, notes}}]
+// citations are stored on persons: datum.citations = [{id, source_id, target_type, target_id, page, note}]
+// target_type is 'person', 'field' (target_id is field id), 'event' (event id) or 'partnership' (spouse id)
+
+export const SOURCE_FIELDS = ['title', 'author', 'repository', 'url', 'notes']
+export const CITATION_PROPS = ['source_id', 'target_type', 'target_id', 'page', 'note']
+
+export function addSource(sources, source_data) {
+  const source = {id: generateUUID(), data: cleanupSourceData(source_data)}
+  sources.push(source)
+  return source
+}
+
+export function updateSource(sources, source_id, source_data) {
+  const source = sources.find(d => d.id === source_id)
+  if (!source) return console.error(`source ${source_id} not found`)
+  source.data = cleanupSourceData({...source.data, ...source_data})
+  return source
+}
+
+// citations of the source are removed from the persons in data, ids of the changed persons are returned
+export function removeSource(sources, source_id, data) {
+  const index = sources.findIndex(d => d.id === source_id)
+  if (index === -1) return console.error(`source ${source_id} not found`)
+  sources.splice(index, 1)
+  const changed_ids = []
+  data.forEach(d => {
+    if (!(d.citations || []).some(c => c.source_id === source_id)) return
+    d.citations = d.citations.filter(c => c.source_id !== source_id)
+    if (d.citations.length === 0) delete d.citations
+    changed_ids.push(d.id)
+  })
+  return changed_ids
+}
+
+export function getCitations(datum, target_type, target_id) {
+  return (datum.citations || []).filter(c => {
+    if (target_type && c.target_type !== target_type) return false
+    if (target_id && c.target_id !== target_id) return false
+    return true
+  })
+}
+
+export function addCitation(datum, citation) {
+  if (!citation.source_id) return console.error('citation source_id is not set')
+  const new_citation = cleanupCitation(citation)
+  if (!datum.citations) datum.citations = []
+  datum.citations.push(new_citation)
+  return new_citation
+}
+
+export function removeCitation(datum, citation_id) {
+  if (!datum.citations) return
+  datum.citations = datum.citations.filter(c => c.id !== citation_id)
+  if (datum.citations.length === 0) delete datum.citations
+}
+
+export function setCitations(datum, citations) {
+  const new_citations = citations.filter(c => c.source_id).map(cleanupCitation)
+  if (new_citations.length > 0) datum.citations = new_citations
+  else delete datum.citations
+}
+
+export function getSourceCount(datum) {
+  return new Set((datum.citations || []).map(c => c.source_id)).size
+}
+
+export function sourceLabel(source) {
+  return source.data.title || source.data.author || source.id
+}
+
+function cleanupSourceData(source_data) {
+  const new_data = {}
+  SOURCE_FIELDS.forEach(k => {
+    if (source_data[k]) new_data[k] = source_data[k]
+  })
+  return new_data
+}
+
+function cleanupCitation(citation) {
+  const new_citation = {id: citation.id || generateUUID()}
+  CITATION_PROPS.forEach(k => {
+    if (citation[k]) new_citation[k] = citation[k]
+  })
+  if (!new_citation.target_type) new_citation.target_type = 'person'
+  if (new_citation.target_type === 'person') delete new_citation.target_id
+  return new_citation
+}
@@ -0,0 +1,184 @@
+import {getParentSlot} from "./newPerson.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+
+// sources are checked only when they are given, so the citations are not reported as broken without them
+export function validateData(data, {sources} = {}) {
+  const problems = []
+  const source_ids = sources ? new Set(sources.map(source => source.id)) : null
+  const data_by_id = {}
+  data.forEach(d => {
+    if (data_by_id[d.id]) problems.push({type: 'duplicate_id', id: d.id, message: `id ${d.id} is used by more than one person`})
+    else data_by_id[d.id] = d
+    if (!d.rels) problems.push({type: 'missing_rels', id: d.id, message: `${d.id} has no rels`})
+  })
+
+  data.forEach(d => {
+    const rels = d.rels || {};
+    ['father', 'mother'].forEach(rel_type => {
+      const parent_id = rels[rel_type]
+      if (!parent_id) return
+      const parent = data_by_id[parent_id]
+      if (parent_id === d.id) return problems.push({type: 'self_reference', id: d.id, rel_type, rel_id: parent_id, message: `${d.id} is their own ${rel_type}`})
+      if (!parent) return problems.push({type: 'missing_person', id: d.id, rel_type, rel_id: parent_id, message: `${rel_type} ${parent_id} of ${d.id} does not exist`})
+      if (!(getRels(parent).children || []).includes(d.id)) problems.push({type: 'asymmetric_parent', id: d.id, rel_type, rel_id: parent_id, message: `${rel_type} ${parent_id} does not list ${d.id} as child`})
+    });
+
+    (rels.children || []).forEach(child_id => {
+      const child = data_by_id[child_id]
+      if (!child) return problems.push({type: 'missing_person', id: d.id, rel_type: 'children', rel_id: child_id, message: `child ${child_id} of ${d.id} does not exist`})
+      const child_rels = getRels(child)
+      if (child_rels.father === d.id || child_rels.mother === d.id) return
+      if (child.rels && !getParentSlot(child, d)) problems.push({type: 'multiple_parents', id: child_id, rel_type: 'children', rel_id: d.id, message: `${child_id} has father ${child.rels.father} and mother ${child.rels.mother} but is also listed as child of ${d.id}`})
+      else problems.push({type: 'asymmetric_child', id: d.id, rel_type: 'children', rel_id: child_id, message: `child ${child_id} does not list ${d.id} as parent`})
+    });
+
+    (rels.spouses || []).forEach(spouse_id => {
+      const spouse = data_by_id[spouse_id]
+      if (spouse_id === d.id) return problems.push({type: 'self_reference', id: d.id, rel_type: 'spouses', rel_id: spouse_id, message: `${d.id} is their own spouse`})
+      if (!spouse) return problems.push({type: 'missing_person', id: d.id, rel_type: 'spouses', rel_id: spouse_id, message: `spouse ${spouse_id} of ${d.id} does not exist`})
+      if (!(getRels(spouse).spouses || []).includes(d.id)) problems.push({type: 'asymmetric_spouse', id: d.id, rel_type: 'spouses', rel_id: spouse_id, message: `spouse ${spouse_id} does not list ${d.id} as spouse`})
+    });
+
+    (d.citations || []).forEach(citation => {
+      if (source_ids && !source_ids.has(citation.source_id)) return problems.push({type: 'missing_source', id: d.id, rel_id: citation.id, message: `source ${citation.source_id} cited by ${d.id} does not exist`})
+      if (!citationTargetExists(d, citation)) problems.push({type: 'missing_citation_target', id: d.id, rel_id: citation.id, message: `${citation.target_type} ${citation.target_id} cited by ${d.id} does not exist`})
+    })
+
+    Object.keys(d.partnerships || {}).forEach(spouse_id => {
+      const spouse = data_by_id[spouse_id]
+      if (!(rels.spouses || []).includes(spouse_id)) return problems.push({type: 'orphan_partnership', id: d.id, rel_id: spouse_id, message: `${d.id} has a partnership with ${spouse_id} who is not their spouse`})
+      if (spouse && spouse.partnerships && spouse.partnerships[d.id] && d.id < spouse_id) problems.push({type: 'duplicate_partnership', id: d.id, rel_id: spouse_id, message: `partnership of ${d.id} and ${spouse_id} is stored on both of them`})
+    })
+
+    Object.values(PARENT_TYPES).forEach(({parents, children}) => {
+      [[parents, children], [children, parents]].forEach(([rel_type, other_rel_type]) => {
+        (rels[rel_type] || []).forEach(rel_id => {
+          const rel = data_by_id[rel_id]
+          if (rel_id === d.id) return problems.push({type: 'self_reference', id: d.id, rel_type, rel_id, message: `${d.id} is listed in their own ${rel_type}`})
+          if (!rel) return problems.push({type: 'missing_person', id: d.id, rel_type, rel_id, message: `${rel_type} ${rel_id} of ${d.id} does not exist`})
+          if (!(getRels(rel)[other_rel_type] || []).includes(d.id)) problems.push({type: 'asymmetric_parent_type', id: d.id, rel_type, rel_id, message: `${rel_id} does not list ${d.id} in ${other_rel_type}`})
+        })
+      })
+    })
+  })
+
+  findAncestorCycles(data, data_by_id).forEach(cycle => {
+    problems.push({type: 'ancestor_cycle', id: cycle[0], ids: cycle, message: `${cycle.join(' -> ')} is a cycle where someone is their own ancestor`})
+  })
+
+  return problems
+}
+
+export function repairData(data, problems) {
+  if (!problems) problems = validateData(data)
+  const data_by_id = data.reduce((acc, d) => {acc[d.id] = d; return acc}, {})
+  const repaired = []
+  const unrepaired = []
+
+  problems.forEach(problem => {
+    if (repairProblem(problem)) repaired.push(problem)
+    else unrepaired.push(problem)
+  })
+
+  return {data, repaired, unrepaired}
+
+  function repairProblem({type, id, rel_type, rel_id}) {
+    const d = data_by_id[id]
+    if (type === 'missing_rels') {
+      d.rels = {}
+      return true
+    }
+    // related records without rels get them here, repairData can also be called with a subset of problems
+    [d, data_by_id[rel_id]].forEach(rel => {
+      if (rel && !rel.rels) rel.rels = {}
+    })
+    if (type === 'missing_person' || type === 'self_reference') {
+      if (Array.isArray(d.rels[rel_type])) d.rels[rel_type] = d.rels[rel_type].filter(d_id => d_id !== rel_id)
+      else delete d.rels[rel_type]
+      return true
+    }
+    if (type === 'asymmetric_parent') {
+      const parent = data_by_id[rel_id]
+      if (!parent.rels.children) parent.rels.children = []
+      if (!parent.rels.children.includes(id)) parent.rels.children.push(id)
+      return true
+    }
+    if (type === 'asymmetric_child') {
+      const child = data_by_id[rel_id]
+      const child_rel_type = getParentSlot(child, d)
+      if (!child_rel_type) return false
+      child.rels[child_rel_type] = id
+      return true
+    }
+    if (type === 'asymmetric_parent_type') {
+      const rel = data_by_id[rel_id]
+      const other_rel_type = getOtherRelType(rel_type)
+      if (!rel.rels[other_rel_type]) rel.rels[other_rel_type] = []
+      if (!rel.rels[other_rel_type].includes(id)) rel.rels[other_rel_type].push(id)
+      return true
+    }
+    if (type === 'orphan_partnership' || type === 'duplicate_partnership') {
+      delete d.partnerships[rel_id]
+      if (Object.keys(d.partnerships).length === 0) delete d.partnerships
+      return true
+    }
+    if (type === 'missing_source') {
+      d.citations = d.citations.filter(c => c.id !== rel_id)
+      if (d.citations.length === 0) delete d.citations
+      return true
+    }
+    if (type === 'missing_citation_target') {
+      const citation = d.citations.find(c => c.id === rel_id)
+      citation.target_type = 'person'
+      delete citation.target_id
+      return true
+    }
+    if (type === 'asymmetric_spouse') {
+      const spouse = data_by_id[rel_id]
+      if (!spouse.rels.spouses) spouse.rels.spouses = []
+      if (!spouse.rels.spouses.includes(id)) spouse.rels.spouses.push(id)
+      return true
+    }
+    return false
+  }
+}
+
+function getRels(d) {
+  return d.rels || {}
+}
+
+function citationTargetExists(d, {target_type, target_id}) {
+  if (target_type === 'event') return (d.events || []).some(e => e.id === target_id)
+  if (target_type === 'partnership') return (getRels(d).spouses || []).includes(target_id)
+  if (target_type === 'field') return Object.prototype.hasOwnProperty.call(d.data || {}, target_id)
+  return true
+}
+
+function getOtherRelType(rel_type) {
+  const parent_type = Object.values(PARENT_TYPES).find(t => t.parents === rel_type || t.children === rel_type)
+  return parent_type.parents === rel_type ? parent_type.children : parent_type.parents
+}
+
+function findAncestorCycles(data, data_by_id) {
+  const cycles = []
+  const state = {}  // 1 - visiting, 2 - done
+  data.forEach(d => visit(d.id, []))
+  return cycles
+
+  function visit(d_id, path) {
+    if (state[d_id] === 2) return
+    if (state[d_id] === 1) {
+      cycles.push([...path.slice(path.indexOf(d_id)), d_id])
+      return
+    }
+    const d = data_by_id[d_id]
+    if (!d) return
+    state[d_id] = 1
+    const parent_type_ids = Object.values(PARENT_TYPES).flatMap(({parents}) => getRels(d)[parents] || [])
+    const parent_ids = [getRels(d).father, getRels(d).mother, ...parent_type_ids]
+    parent_ids.forEach(p_id => {
+      if (p_id && p_id !== d_id) visit(p_id, [...path, d_id])
+    })
+    state[d_id] = 2
+  }
+}
@@ -5,6 +5,8 @@ import linkSpouseText from "./view/elements/LinkSpouseText.js"
 import autocomplete from "./CreateTree/autocomplete.js"
 import { getMaxDepth } from "./CalculateTree/CalculateTree.handlers.js"
 import { calculateKinships, getKinshipsDataStash } from "./CalculateTree/CalculateTree.calculateKinships.js"
+import updateHighlight from "./view/view.highlight.js"
+import {LAYOUTS} from "./CalculateTree/CalculateTree.js"
 
 export default function(...args) { return new CreateChart(...args) }
 
@@ -20,6 +22,8 @@ function CreateChart(cont, data) {
   this.transition_time = 2000
   this.linkSpouseText = false
   this.personSearch = null
+  this.highlight = null
+  this.highlight_dim_opacity = .2
 
   this.is_card_html = false
 
@@ -51,7 +55,7 @@ CreateChart.prototype.init = function(cont, data) {
 
   this.store.setOnUpdate(props => {
     if (this.beforeUpdate) this.beforeUpdate(props)
-    props = Object.assign({transition_time: this.transition_time}, props || {})
+    props = Object.assign({transition_time: this.transition_time, highlight: this.highlight, highlight_dim_opacity: this.highlight_dim_opacity, diff: this.store.state.diff_view}, props || {})
     if (this.is_card_html) props = Object.assign({}, props || {}, {cardHtml: getHtmlSvg()})
     f3.view(this.store.getTree(), this.svg, this.getCard(), props || {})
     if (this.linkSpouseText) linkSpouseText(this.svg, this.store.getTree(), Object.assign({}, props || {}, {linkSpouseText: this.linkSpouseText, node_separation: this.node_separation}))
@@ -71,6 +75,12 @@ CreateChart.prototype.updateData = function(data) {
   return this
 }
 
+CreateChart.prototype.updateSources = function(sources) {
+  this.store.updateSources(sources)
+
+  return this
+}
+
 CreateChart.prototype.setCardYSpacing = function(card_y_spacing) {
   if (typeof card_y_spacing !== 'number') {
     console.error('card_y_spacing must be a number')
@@ -165,6 +175,34 @@ CreateChart.prototype.setTransitionTime = function(transition_time) {
   return this
 }
 
+// highlight is a predicate (datum, tree_datum) => boolean or null to remove the highlight
+CreateChart.prototype.setHighlight = function(highlight, {dim_opacity=.2} = {}) {
+  if (highlight && typeof highlight !== 'function') {
+    console.error('highlight must be a function or null')
+    return this
+  }
+  this.highlight = highlight || null
+  this.highlight_dim_opacity = dim_opacity
+  updateHighlight(this.svg, this.cont.querySelector('#htmlSvg'), {
+    highlight: this.highlight,
+    highlight_dim_opacity: this.highlight_dim_opacity,
+    transition_time: this.transition_time
+  })
+
+  return this
+}
+
+// shows the current data compared to prev_data, cards and links are marked added, removed or changed.
+// the diff view can not be edited and is not saved to history or persistence, setDiffView(null) restores the original data
+CreateChart.prototype.setDiffView = function(prev_data) {
+  if (prev_data && this.editTreeInstance && !this.store.state.diff_view) this.editTreeInstance.cancelEditing()
+  const diff_view = this.store.setDiffView(prev_data)
+  d3.select(this.cont).classed('f3-diff-view', !!diff_view)
+  this.updateTree({initial: false})
+
+  return this
+}
+
 CreateChart.prototype.setSortChildrenFunction = function(sortChildrenFunction) {
   this.store.state.sortChildrenFunction = sortChildrenFunction
 
@@ -201,12 +239,46 @@ CreateChart.prototype.getKinshipsDataStash = function(main_id, rel_id) {
   return getKinshipsDataStash(main_id, rel_id, this.store.getData(), this.calculateKinships(main_id))
 }
 
+CreateChart.prototype.setDevMode = function(dev_mode) {
+  this.store.state.dev_mode = dev_mode
+  if (dev_mode) this.store.checkData()
+
+  return this
+}
+
 CreateChart.prototype.setDuplicateBranchToggle = function(duplicate_branch_toggle) {
   this.store.state.duplicate_branch_toggle = duplicate_branch_toggle
 
   return this
 }
 
+CreateChart.prototype.setParentSet = function(parent_set) {
+  this.store.state.parent_set = parent_set
+
+  return this
+}
+
+CreateChart.prototype.setLayout = function(layout) {
+  if (!LAYOUTS.includes(layout)) {
+    console.error(`layout must be one of ${LAYOUTS.join(', ')}`)
+    return this
+  }
+  this.store.state.layout = layout
+
+  return this
+}
+
+// {angle, inner_radius, ring_width} of the fan layout, angle is in degrees
+CreateChart.prototype.setFanOptions = function(fan_options) {
+  if (!fan_options || typeof fan_options !== 'object') {
+    console.error('fan_options must be an object')
+    return this
+  }
+  this.store.state.fan_options = fan_options
+
+  return this
+}
+
 CreateChart.prototype.editTree = function() {
   return this.editTreeInstance = editTree(this.cont, this.store)
 }
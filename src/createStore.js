@@ -1,29 +1,74 @@
 import CalculateTree from "./CalculateTree/CalculateTree.js"
+import {createDataIndex} from "./CalculateTree/CalculateTree.handlers.js"
+import {validateData, repairData} from "./CreateTree/validateData.js"
+import {addRelative as addRelativeToData, removeRelationship as removeRelationshipFromData, linkParentOfType as linkParentOfTypeInData, updatePartnership as updatePartnershipInData} from "./CreateTree/mutations.js"
+import {deletePerson as deletePersonFromData} from "./CreateTree/form.js"
+import {checkPlausibility as checkPlausibilityOfData} from "./CreateTree/plausibility.js"
+import {searchPersons as searchPersonsInData} from "./CreateTree/search.js"
+import {findDuplicatePersons as findDuplicatePersonsInData, mergePersons as mergePersonsInData} from "./CreateTree/duplicates.js"
+import {mergeDatasets} from "./CreateTree/mergeDatasets.js"
+import {createDiffViewData} from "./CreateTree/dataDiff.js"
+import {addSource as addSourceToData, updateSource as updateSourceInData, removeSource as removeSourceFromData, addCitation as addCitationToDatum} from "./CreateTree/sources.js"
 
 export default function createStore(initial_state) {
   let onUpdate;
+  let onDataChange;
   const state = initial_state;
   state.main_id_history = [] 
+  if (!state.sources) state.sources = []
+  if (state.dev_mode) checkData()
 
   const store = {
     state,
     updateTree: (props) => {
+      state.data_index = createDataIndex(state.data)
       state.tree = calcTree();
       if (!state.main_id) updateMainId(state.tree.main_id)
       if (onUpdate) onUpdate(props)
     },
-    updateData: data => state.data = data,
+    updateData: data => {
+      if (isDiffViewShown()) return
+      state.data = data
+      if (state.dev_mode) checkData()
+      state.data_index = createDataIndex(state.data)
+    },
+    updateSources: sources => {
+      if (isDiffViewShown()) return
+      state.sources = sources
+    },
     updateMainId,
     getMainId: () => state.main_id,
     getData: () => state.data,
+    getDataIndex: () => state.data_index,
     getTree: () => state.tree,
     setOnUpdate: (f) => onUpdate = f,
+    setOnDataChange: (f) => onDataChange = f,
 
     getMainDatum,
     getDatum,
     getTreeMainDatum,
     getTreeDatum,
     getLastAvailableMainDatum,
+    checkData,
+    checkPlausibility,
+    searchPersons,
+    findDuplicatePersons,
+
+    addRelative,
+    removeRelationship,
+    linkParentOfType,
+    updatePartnership,
+    mergePersons,
+    mergeDataset,
+    deletePerson,
+
+    getSources,
+    addSource,
+    updateSource,
+    removeSource,
+    addCitation,
+
+    setDiffView,
 
     methods: {},
   }
@@ -44,7 +89,11 @@ export default function createStore(initial_state) {
       show_siblings_of_main: state.show_siblings_of_main,
       modifyTreeHierarchy: state.modifyTreeHierarchy,
       private_cards_config: state.private_cards_config,
-      duplicate_branch_toggle: state.duplicate_branch_toggle
+      duplicate_branch_toggle: state.duplicate_branch_toggle,
+      parent_set: state.parent_set,
+      data_index: state.data_index,
+      layout: state.layout,
+      fan_options: state.fan_options
     })
   }
 
@@ -73,6 +122,159 @@ export default function createStore(initial_state) {
     state.main_id = id
   }
 
+  // in dev mode data is validated on every data update and safe problems are repaired
+  function checkData() {
+    if (!state.data) return []
+    const problems = validateData(state.data, {sources: state.sources})
+    if (problems.length === 0) return problems
+    const {repaired, unrepaired} = repairData(state.data, problems)
+    repaired.forEach(problem => console.warn('repaired data problem:', problem.message))
+    unrepaired.forEach(problem => console.error('data problem:', problem.message))
+    return problems
+  }
+
+  function checkPlausibility(options) {
+    if (!state.data) return []
+    return checkPlausibilityOfData(state.data, options)
+  }
+
+  function searchPersons(query, options) {
+    if (!state.data) return []
+    return searchPersonsInData(state.data, query, options)
+  }
+
+  function findDuplicatePersons(options) {
+    if (!state.data) return []
+    return findDuplicatePersonsInData(state.data, options)
+  }
+
+  function addRelative(person_id, rel_type, data, props) {
+    if (isDiffViewShown()) return
+    const datum = addRelativeToData(state.data, person_id, rel_type, data, props)
+    if (datum) dataChanged([person_id, datum.id])
+    return datum
+  }
+
+  function removeRelationship(a_id, b_id, props) {
+    if (isDiffViewShown()) return
+    const removed = removeRelationshipFromData(state.data, a_id, b_id, props)
+    if (removed) dataChanged([a_id, b_id])
+    return removed
+  }
+
+  function linkParentOfType(child_id, parent_id, parent_type) {
+    if (isDiffViewShown()) return
+    const linked = linkParentOfTypeInData(state.data, child_id, parent_id, parent_type)
+    if (linked) dataChanged([child_id, parent_id])
+    return linked
+  }
+
+  function updatePartnership(a_id, b_id, partnership) {
+    if (isDiffViewShown()) return
+    const updated = updatePartnershipInData(state.data, a_id, b_id, partnership)
+    if (updated !== undefined) dataChanged([a_id, b_id])
+    return updated
+  }
+
+  function mergePersons(keep_id, drop_id, options) {
+    if (isDiffViewShown()) return
+    const keep = mergePersonsInData(state.data, keep_id, drop_id, options)
+    if (!keep) return keep
+    if (state.main_id === drop_id) updateMainId(keep_id)
+    dataChanged([keep_id, drop_id])
+    return keep
+  }
+
+  // the store is changed only when commit is called, so the report can be reviewed first
+  function mergeDataset(other_data, anchors, options={}) {
+    const {data, sources, report} = mergeDatasets(state.data, other_data, anchors, {...options, base_sources: state.sources})
+    return {data, sources, report, commit}
+
+    function commit() {
+      if (isDiffViewShown()) return
+      store.updateData(data)
+      store.updateSources(sources)
+      if (!getDatum(state.main_id)) getLastAvailableMainDatum()
+      dataChanged()
+    }
+  }
+
+  function deletePerson(id) {
+    if (isDiffViewShown()) return
+    const datum = getDatum(id)
+    if (!datum) return console.error(`person ${id} not found`)
+    const result = deletePersonFromData(datum, state.data)
+    if (!getDatum(state.main_id)) getLastAvailableMainDatum()
+    dataChanged([id])
+    return result
+  }
+
+  function getSources() {
+    return state.sources
+  }
+
+  // sources are not persons, so no person ids are reported for them
+  function addSource(source_data) {
+    if (isDiffViewShown()) return
+    const source = addSourceToData(state.sources, source_data)
+    dataChanged([])
+    return source
+  }
+
+  function updateSource(source_id, source_data) {
+    if (isDiffViewShown()) return
+    const source = updateSourceInData(state.sources, source_id, source_data)
+    if (source) dataChanged([])
+    return source
+  }
+
+  function removeSource(source_id) {
+    if (isDiffViewShown()) return
+    const changed_ids = removeSourceFromData(state.sources, source_id, state.data)
+    if (!changed_ids) return changed_ids
+    dataChanged(changed_ids)
+    return true
+  }
+
+  function addCitation(person_id, citation) {
+    if (isDiffViewShown()) return
+    const datum = getDatum(person_id)
+    if (!datum) return console.error(`person ${person_id} not found`)
+    if (!state.sources.some(source => source.id === citation.source_id)) return console.error(`source ${citation.source_id} not found`)
+    const new_citation = addCitationToDatum(datum, citation)
+    dataChanged([person_id])
+    return new_citation
+  }
+
+  // shows the current data compared to prev_data, removed persons are linked back in and status marks the persons
+  // added, removed or changed. the data can not be changed until setDiffView(null) restores the original data
+  function setDiffView(prev_data) {
+    if (prev_data) {
+      const data = state.diff_view ? state.diff_view.data : state.data
+      const {data: diff_data, status, summary, prev_index} = createDiffViewData(prev_data, data)
+      state.diff_view = {data, status, summary, prev_index}
+      state.data = diff_data
+    } else if (state.diff_view) {
+      state.data = state.diff_view.data
+      state.diff_view = null
+    }
+    state.data_index = createDataIndex(state.data)
+    return state.diff_view
+  }
+
+  function isDiffViewShown() {
+    if (!state.diff_view) return false
+    console.error('data can not be edited while the diff view is shown')
+    return true
+  }
+
+  // the mutations keep data_index up to date, but the tree is recalculated only by updateTree
+  // and history and persistence are recorded only when EditTree listens to onDataChange
+  function dataChanged(ids) {
+    state.data_index = createDataIndex(state.data)
+    if (onDataChange) onDataChange(ids)
+  }
+
   // if main_id is deleted, get the last available main_id
   function getLastAvailableMainDatum() {
     let main_id = state.main_id_history.slice(0).reverse().find(id => getDatum(id))
@@ -5,4 +5,23 @@ export * from './CreateTree/checkPersonConnection.js'
 export * from './CreateTree/form.js'
 export * from './CreateTree/formInfoSetup.js'
 export * from './CreateTree/history.js'
-export * from './view/view.handlers.js'
\ No newline at end of file
+export * from './view/view.handlers.js'
+export * from './CreateTree/gedcom.js'
+export * from './CreateTree/csv.js'
+export * from './CreateTree/validateData.js'
+export * from './CreateTree/dataDiff.js'
+export * from './CreateTree/persistence.js'
+export * from './CreateTree/mutations.js'
+export * from './CalculateTree/CalculateTree.parentTypes.js'
+export * from './CreateTree/partnerships.js'
+export * from './CreateTree/events.js'
+export * from './CreateTree/dates.js'
+export {formatDateDisplay, nameDisplay, getDisplayValue} from './Cards/utils.js'
+export {sortChildrenByBirthDate} from './CalculateTree/CalculateTree.handlers.js'
+export * from './CreateTree/plausibility.js'
+export * from './CreateTree/sources.js'
+export * from './CreateTree/media.js'
+export * from './CreateTree/names.js'
+export * from './CreateTree/search.js'
+export * from './CreateTree/duplicates.js'
+export * from './CreateTree/mergeDatasets.js'
\ No newline at end of file
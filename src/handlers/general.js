@@ -1,4 +1,5 @@
 import d3 from "../d3.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
 
 export function manualZoom({amount, svg, transition_time=500}) {
   const el_listener = svg.__zoomObj ? svg : svg.parentNode  // if we need listener for svg and html, we will use parent node
@@ -19,8 +20,10 @@ export function zoomTo(svg, zoom_level) {
   manualZoom({amount: zoom_level / currentTransform.k, svg})
 }
 
-export function isAllRelativeDisplayed(d, data) {
+export function isAllRelativeDisplayed(d, data, data_ids=undefined) {
   const r = d.data.rels,
-    all_rels = [r.father, r.mother, ...(r.spouses || []), ...(r.children || [])].filter(v => v)
+    parent_type_rels = Object.values(PARENT_TYPES).flatMap(({parents, children}) => [...(r[parents] || []), ...(r[children] || [])]),
+    all_rels = [r.father, r.mother, ...(r.spouses || []), ...(r.children || []), ...parent_type_rels].filter(v => v)
+  if (data_ids) return all_rels.every(rel_id => data_ids.has(rel_id))
   return all_rels.every(rel_id => data.some(d => d.data.id === rel_id))
 }
\ No newline at end of file
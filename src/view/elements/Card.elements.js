@@ -10,6 +10,7 @@ import {
   PencilIcon,
   PlusIcon
 } from "./Card.templates.js"
+import {getCardImage} from "../../CreateTree/media.js"
 
 const CardElements = {
   miniTree,
@@ -64,7 +65,7 @@ function cardBody(d, props) {
 function cardImage(d, props) {
   if (d.data.to_add) return
   const card_dim = props.card_dim;
-  const g = d3.create('svg:g').html(CardImage({d, image: d.data.data.avatar || null, card_dim, maleIcon: null, femaleIcon: null}).template)
+  const g = d3.create('svg:g').html(CardImage({d, image: getCardImage(d.data), card_dim, maleIcon: null, femaleIcon: null}).template)
   return g.node()
 }
 
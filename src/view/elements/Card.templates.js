@@ -1,3 +1,6 @@
+import d3 from "../../d3.js"
+import {fanTextRotation} from "../../CalculateTree/CalculateTree.fanChart.js"
+
 export function CardBody({d,card_dim,card_display}) {
   return {template: (`
     <g class="card-body">
@@ -24,6 +27,25 @@ export function CardText({d,card_dim,card_display}) {
   }
 }
 
+// segment of the fan layout, the card is positioned at the centroid of the segment
+export function CardBodyFan({d,card_display}) {
+  const fan = d.fan
+  const path = d3.arc().innerRadius(fan.inner_radius).outerRadius(fan.outer_radius).startAngle(fan.start_angle).endAngle(fan.end_angle)()
+  const lines = d.data._new_rel_data ? [() => d.data._new_rel_data.label] : Array.isArray(card_display) ? card_display : [card_display]
+  return {template: (`
+    <g class="card-body" transform="translate(${-d.x}, ${-d.y})">
+      <path d="${path}" class="card-body-rect" />
+      <path d="${path}" fill="none" class="card-outline ${(d.data.main && !d.data.to_add) ? 'card-main-outline' : ''} ${d.data.to_add ? 'card-new-outline' : ''}" />
+    </g>
+    <g class="card-text" transform="rotate(${fanTextRotation(fan)})">
+      <text text-anchor="middle">
+        ${lines.map((cd, i) => `<tspan x="0" dy="${i === 0 ? 4 - (lines.length-1)*7 : 14}">${cd(d.data)}</tspan>`).join('\n')}
+      </text>
+    </g>
+  `)
+  }
+}
+
 export function CardBodyAddNew({d,card_dim,card_add,label}) {
   return {template: (`
     <g class="card-body ${card_add ? 'card_add' : 'card-unknown'}">
@@ -1,6 +1,8 @@
 import d3 from "../../d3.js"
 import {personSvgIcon, miniTreeSvgIcon, plusSvgIcon} from "./Card.icons.js"
 import {handleCardDuplicateToggle} from "./CardHtml.duplicatesToggle.js"
+import {getSourceCount} from "../../CreateTree/sources.js"
+import {getCardImage} from "../../CreateTree/media.js"
 
 export function CardHtml(props) {
   const cardInner = props.style === 'default' ? cardInnerDefault 
@@ -14,10 +16,19 @@ export function CardHtml(props) {
     this.innerHTML = (`
     <div class="card ${getClassList(d).join(' ')}" data-id="${d.tid}" style="transform: translate(-50%, -50%); pointer-events: auto;">
       ${props.mini_tree ? getMiniTree(d) : ''}
+      ${getPlausibilityProblems(d).length > 0 ? getPlausibilityBadge(d) : ''}
+      ${props.source_badge ? getSourceBadge(d) : ''}
       ${(props.cardInnerHtmlCreator && !d.data._new_rel_data) ? props.cardInnerHtmlCreator(d) : cardInner(d)}
     </div>
     `)
     this.querySelector('.card').addEventListener('click', e => props.onCardClick(e, d))
+    const plausibility_badge = this.querySelector('.f3-card-warning-badge')
+    if (plausibility_badge && props.onPlausibilityBadgeClick) {
+      plausibility_badge.addEventListener('click', e => {
+        e.stopPropagation()
+        props.onPlausibilityBadgeClick(e, d, getPlausibilityProblems(d))
+      })
+    }
     if (props.onCardUpdate) props.onCardUpdate.call(this, d)
 
     if (props.onCardMouseenter) d3.select(this).select('.card').on('mouseenter', e => props.onCardMouseenter(e, d))
@@ -37,7 +48,7 @@ export function CardHtml(props) {
   function getCardInnerImageCircle(d) {
     return (`
     <div class="card-inner card-image-circle" ${getCardStyle()}>
-      ${d.data.data[props.cardImageField] ? `<img src="${d.data.data[props.cardImageField]}" ${getCardImageStyle()}>` : noImageIcon(d)}
+      ${getCardImage(d.data, props.cardImageField) ? `<img src="${getCardImage(d.data, props.cardImageField)}" ${getCardImageStyle()}>` : noImageIcon(d)}
       <div class="card-label">${textDisplay(d)}</div>
       ${d.duplicate ? getCardDuplicateTag(d) : ''}
     </div>
@@ -47,7 +58,7 @@ export function CardHtml(props) {
   function getCardInnerImageRect(d) {
     return (`
     <div class="card-inner card-image-rect" ${getCardStyle()}>
-      ${d.data.data[props.cardImageField] ? `<img src="${d.data.data[props.cardImageField]}" ${getCardImageStyle()}>` : noImageIcon(d)}
+      ${getCardImage(d.data, props.cardImageField) ? `<img src="${getCardImage(d.data, props.cardImageField)}" ${getCardImageStyle()}>` : noImageIcon(d)}
       <div class="card-label">${textDisplay(d)}</div>
       ${d.duplicate ? getCardDuplicateTag(d) : ''}
     </div>
@@ -88,7 +99,7 @@ export function CardHtml(props) {
   }
 
   function cardInnerImageCircleRect(d) {
-    return d.data.data[props.cardImageField] ? cardInnerImageCircle(d) : cardInnerRect(d)
+    return getCardImage(d.data, props.cardImageField) ? cardInnerImageCircle(d) : cardInnerRect(d)
   }
 
   function cardInnerDefault(d) {
@@ -123,6 +134,8 @@ export function CardHtml(props) {
 
     if (d.data.unknown) class_list.push('card-unknown')
 
+    if (getPlausibilityProblems(d).length > 0) class_list.push('card-plausibility-warning')
+
     return class_list
   }
 
@@ -156,6 +169,22 @@ export function CardHtml(props) {
     return `<div class="person-icon" ${getCardImageStyle()}>${props.defaultPersonIcon ? props.defaultPersonIcon(d) : personSvgIcon()}</div>`
   }
 
+  function getPlausibilityProblems(d) {
+    if (!props.plausibility_problems) return []
+    return props.plausibility_problems.get(d.data.id) || []
+  }
+
+  function getPlausibilityBadge(d) {
+    const title = getPlausibilityProblems(d).map(problem => problem.message).join('\n').replace(/"/g, '&quot;')
+    return `<div class="f3-card-warning-badge" title="${title}">!</div>`
+  }
+
+  function getSourceBadge(d) {
+    const source_count = getSourceCount(d.data)
+    if (source_count === 0) return ''
+    return `<div class="f3-card-source-badge" title="${source_count} source${source_count > 1 ? 's' : ''}">${source_count}</div>`
+  }
+
   function getCardDuplicateTag(d) {
     return `<div class="f3-card-duplicate-tag">x${d.duplicate}</div>`
   }
@@ -1,5 +1,5 @@
 import d3 from "../../d3.js"
-import {appendTemplate, CardBodyOutline, CardBodyAddNewRel, CardBody} from "./Card.templates.js"
+import {appendTemplate, CardBodyOutline, CardBodyAddNewRel, CardBody, CardBodyFan} from "./Card.templates.js"
 import cardElements, {appendElement} from "./Card.elements.js"
 import setupCardSvgDefs from "./Card.defs.js"
 import {plusIcon} from "./Card.icons.js"
@@ -12,6 +12,7 @@ export function CardSvg(props) {
   return function (d) {
     const gender_class = d.data.data.gender === 'M' ? 'card-male' : d.data.data.gender === 'F' ? 'card-female' : 'card-genderless'
     const card_dim = props.card_dim
+    if (d.fan) return fanCard.call(this, d, gender_class)
 
     const card = d3.create('svg:g').attr('class', `card ${gender_class}`).attr('transform', `translate(${[-card_dim.w / 2, -card_dim.h / 2]})`)
     card.append('g').attr('class', 'card-inner').attr('clip-path', 'url(#card_clip)')
@@ -45,6 +46,21 @@ export function CardSvg(props) {
     if (props.onCardUpdate) props.onCardUpdate.call(this, d)
   }
 
+  function fanCard(d, gender_class) {
+    const card = d3.create('svg:g').attr('class', `card card-fan ${gender_class}`)
+    appendTemplate(CardBodyFan({d,card_display: props.card_display}).template, card.node())
+
+    this.innerHTML = ''
+    this.appendChild(card.node())
+
+    card.on("click", function (e) {
+      e.stopPropagation();
+      props.onCardClick.call(this, e, d)
+    })
+
+    if (props.onCardUpdate) props.onCardUpdate.call(this, d)
+  }
+
   function setupProps(props) {
     const default_props = {
       img: true,
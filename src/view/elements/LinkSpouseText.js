@@ -1,22 +1,19 @@
 import d3 from "../../d3.js"
 
 import {calculateDelay} from "../view.js"
+import {getPartnership, partnershipLabel} from "../../CreateTree/partnerships.js"
+import {orderParentIds} from "../../CreateTree/newPerson.js"
 
 
 export default function linkSpouseText(svg, tree, props={}) {
-  const links_data = []
-  tree.data.forEach(d => {
-    if (d._spouse && d.data.data.gender === 'F') links_data.push({nodes: [d, d._spouse], id: `${d.data.id}--${d._spouse.data.id}`})
-    if (d.spouses) d.spouses.forEach(sp => links_data.push({nodes: [sp, d], id: `${sp.data.id}--${d.data.id}`}))
-  })
+  const links_data = getSpouseTextLinks(tree)
 
   const link = d3.select(svg).select(".links_view").selectAll("g.link-text").data(links_data, d => d.id)
   const link_exit = link.exit()
   const link_enter = link.enter().append("g").attr("class", "link-text")
   const link_update = link_enter.merge(link)
   const spouseLineX = (sp1, sp2) => {
-    if (sp1.spouse && sp1.data.data.gender === 'F') return sp1.x - props.node_separation/2
-    else if (sp2.spouse && sp2.data.data.gender === 'M') return sp2.x + props.node_separation/2
+    if (sp1.spouse) return sp1.x + (sp1.x < sp2.x ? 1 : -1)*props.node_separation/2
     else return Math.min(sp1.x, sp2.x) + props.node_separation/2
   }
 
@@ -38,7 +35,9 @@ export default function linkSpouseText(svg, tree, props={}) {
     const [sp1, sp2] = d.nodes
     const text_g = d3.select(this)
     const delay = props.initial ? calculateDelay(tree, sp1, props.transition_time) : 0
-    text_g.select('text').text(props.linkSpouseText(sp1, sp2))
+    const partnership = getPartnership(sp1.data, sp2.data)
+    const text = props.linkSpouseText === true ? partnershipLabel(partnership) : props.linkSpouseText(sp1, sp2, partnership)
+    text_g.select('text').text(text)
     text_g.transition('text').duration(props.transition_time).delay(delay)
     .attr('transform', `translate(${spouseLineX(sp1, sp2)}, ${sp1.y-3})`)
     text_g.transition('text-op').duration(100).delay(delay + props.transition_time).style('opacity', 1)
@@ -50,4 +49,24 @@ export default function linkSpouseText(svg, tree, props={}) {
       .on("end", () => text_g.remove())
   }
 
-}
\ No newline at end of file
+}
+
+// one text per couple, both parents on the ancestry side have a _spouse reference to each other
+export function getSpouseTextLinks(tree) {
+  const links_data = []
+  tree.data.forEach(d => {
+    if (d._spouse) {
+      const [first_id] = orderParentIds(d.data, d._spouse.data, tree.data_stash)
+      addLink(first_id === d.data.id ? [d._spouse, d] : [d, d._spouse])
+    }
+    if (d.spouses) d.spouses.forEach(sp => addLink([sp, d]))
+  })
+  return links_data
+
+  function addLink(nodes) {
+    const id = `${nodes[0].data.id}--${nodes[1].data.id}`
+    const other_id = `${nodes[1].data.id}--${nodes[0].data.id}`
+    if (links_data.some(link => link.id === id || link.id === other_id)) return
+    links_data.push({nodes, id})
+  }
+}
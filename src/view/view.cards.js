@@ -1,6 +1,8 @@
 import d3 from "../d3.js"
 import {calculateEnterAndExitPositions} from "../CalculateTree/CalculateTree.handlers.js"
 import {calculateDelay} from "./view.js"
+import {cardOpacity, setCardHighlightClass} from "./view.highlight.js"
+import {setCardDiffClass} from "./view.diff.js"
 
 export default function updateCards(svg, tree, Card, props={}) {
   const card = d3.select(svg).select(".cards_view").selectAll("g.card_cont").data(tree.data, d => d.data.id),
@@ -28,8 +30,10 @@ export default function updateCards(svg, tree, Card, props={}) {
 
   function cardUpdate(d) {
     Card.call(this, d)
+    setCardHighlightClass(this, d, props)
+    setCardDiffClass(this, d, props)
     const delay = props.initial ? calculateDelay(tree, d, props.transition_time) : 0;
-    d3.select(this).transition().duration(props.transition_time).delay(delay).attr("transform", `translate(${d.x}, ${d.y})`).style("opacity", 1)
+    d3.select(this).transition().duration(props.transition_time).delay(delay).attr("transform", `translate(${d.x}, ${d.y})`).style("opacity", cardOpacity(d, props))
   }
 
   function cardExit(d) {
@@ -0,0 +1,43 @@
+import d3 from "../d3.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+
+// props.diff is {status, prev_index} from createDiffViewData
+// links are marked removed or added by their persons, links between existing persons that are new are marked changed
+// placeholder cards of unknown parents are not compared
+
+const DIFF_STATUSES = ['added', 'removed', 'changed']
+
+export function setCardDiffClass(node, d, props) {
+  const status = props.diff ? props.diff.status.get(d.data.id) : null
+  DIFF_STATUSES.forEach(s => d3.select(node).classed(`f3-diff-${s}`, status === s))
+}
+
+export function setLinkDiffClass(node, link, props) {
+  const status = props.diff ? linkDiffStatus(link, props.diff) : null
+  DIFF_STATUSES.forEach(s => d3.select(node).classed(`f3-diff-${s}`, status === s))
+}
+
+function linkDiffStatus(link, diff) {
+  const statuses = [link.source, link.target].flat().map(d => diff.status.get(d.data.id))
+  if (statuses.includes('removed')) return 'removed'
+  if (statuses.includes('added')) return 'added'
+  return relationExisted(link, diff.prev_index) ? null : 'changed'
+}
+
+function relationExisted(link, prev_index) {
+  if (link.spouse) {
+    if (link.source.data.to_add || link.target.data.to_add) return true
+    const prev_d = prev_index.get(link.source.data.id)
+    return !!prev_d && (prev_d.rels.spouses || []).includes(link.target.data.id)
+  }
+  const child = link.is_ancestry ? link.source : link.target
+  const parents = link.is_ancestry ? link.target : link.source
+  const prev_child = prev_index.get(child.data.id)
+  if (!prev_child) return false
+  const prev_parent_ids = [
+    prev_child.rels.father,
+    prev_child.rels.mother,
+    ...Object.values(PARENT_TYPES).flatMap(({parents}) => prev_child.rels[parents] || [])
+  ]
+  return [...new Set(parents)].filter(p => !p.data.to_add).every(p => prev_parent_ids.includes(p.data.id))
+}
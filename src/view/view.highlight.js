@@ -0,0 +1,59 @@
+import d3 from "../d3.js"
+
+// props.highlight is a predicate (datum, tree_datum) => boolean, cards that do not match
+// and links that do not touch a matching card are dimmed to props.highlight_dim_opacity
+
+export default function updateHighlight(svg, html_svg, props={}) {
+  const card_nodes = [
+    ...svg.querySelectorAll('.cards_view g.card_cont'),
+    ...(html_svg ? html_svg.querySelectorAll('.cards_view div.card_cont') : [])
+  ]
+  d3.selectAll(card_nodes).each(function(d) {
+    setCardHighlightClass(this, d, props)
+    d3.select(this).transition('highlight').duration(props.transition_time).style("opacity", cardOpacity(d, props))
+  })
+
+  d3.select(svg).select(".links_view").selectAll("path.link").each(function(d) {
+    updateLinkHighlight(this, d, props)
+  })
+}
+
+// link opacity is only set here, on the same transition that fades out exiting links,
+// so a highlight change does not race the transition that moves the link
+export function updateLinkHighlight(node, link, props, delay=0) {
+  setLinkHighlightClass(node, link, props)
+  d3.select(node).transition('op').duration(props.transition_time).delay(delay).style("opacity", linkOpacity(link, props))
+}
+
+export function cardOpacity(d, props) {
+  if (!props.highlight) return 1
+  return isHighlighted(d, props) ? 1 : getDimOpacity(props)
+}
+
+export function linkOpacity(link, props) {
+  if (!props.highlight) return 1
+  return linkTouchesHighlighted(link, props) ? 1 : getDimOpacity(props)
+}
+
+export function setCardHighlightClass(node, d, props) {
+  const is_highlighted = !!props.highlight && isHighlighted(d, props)
+  d3.select(node)
+    .classed("f3-highlighted", is_highlighted)
+    .classed("f3-dimmed", !!props.highlight && !is_highlighted)
+}
+
+export function setLinkHighlightClass(node, link, props) {
+  d3.select(node).classed("f3-dimmed", !!props.highlight && !linkTouchesHighlighted(link, props))
+}
+
+function isHighlighted(d, props) {
+  return !!props.highlight(d.data, d)
+}
+
+function linkTouchesHighlighted(link, props) {
+  return [link.source, link.target].flat().some(d => d && isHighlighted(d, props))
+}
+
+function getDimOpacity(props) {
+  return props.hasOwnProperty('highlight_dim_opacity') ? props.highlight_dim_opacity : .2
+}
@@ -1,6 +1,8 @@
 import d3 from "../d3.js"
 import {calculateEnterAndExitPositions} from "../CalculateTree/CalculateTree.handlers.js"
 import {calculateDelay} from "./view.js"
+import {cardOpacity, setCardHighlightClass} from "./view.highlight.js"
+import {setCardDiffClass} from "./view.diff.js"
 
 export default function updateCardsHtml(div, tree, Card, props={}) {
   const card = d3.select(div).select(".cards_view").selectAll("div.card_cont").data(tree.data, d => d.tid),
@@ -30,8 +32,10 @@ export default function updateCardsHtml(div, tree, Card, props={}) {
 
   function cardUpdate(d) {
     Card.call(this, d)
+    setCardHighlightClass(this, d, props)
+    setCardDiffClass(this, d, props)
     const delay = props.initial ? calculateDelay(tree, d, props.transition_time) : 0;
-    d3.select(this).transition().duration(props.transition_time).delay(delay).style("transform", `translate(${d.x}px, ${d.y}px)`).style("opacity", 1)
+    d3.select(this).transition().duration(props.transition_time).delay(delay).style("transform", `translate(${d.x}px, ${d.y}px)`).style("opacity", cardOpacity(d, props))
   }
 
   function cardExit(d) {
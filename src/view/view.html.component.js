@@ -2,6 +2,7 @@ import d3 from "../d3.js"
 import {calculateEnterAndExitPositions} from "../CalculateTree/CalculateTree.handlers.js"
 import {calculateDelay} from "./view.js"
 import {getCardsViewFake} from "./view.html.handlers.js"
+import {cardOpacity, setCardHighlightClass} from "./view.highlight.js"
 
 export default function updateCardsComponent(div, tree, Card, props={}) {
   const card = d3.select(getCardsViewFake(() => div)).selectAll("div.card_cont_fake").data(tree.data, d => d.data.id),
@@ -30,8 +31,9 @@ export default function updateCardsComponent(div, tree, Card, props={}) {
 
   function cardUpdate(d) {
     const card_element = d3.select(Card(d))
+    setCardHighlightClass(card_element.node(), d, props)
     const delay = props.initial ? calculateDelay(tree, d, props.transition_time) : 0;
-    card_element.transition().duration(props.transition_time).delay(delay).style("transform", `translate(${d.x}px, ${d.y}px)`).style("opacity", 1)
+    card_element.transition().duration(props.transition_time).delay(delay).style("transform", `translate(${d.x}px, ${d.y}px)`).style("opacity", cardOpacity(d, props))
   }
 
   function cardExit(d) {
@@ -3,10 +3,14 @@ import d3 from "../d3.js"
 import {createLinks} from "../CalculateTree/createLinks.js"
 import {createPath} from "./elements/Link.js"
 import {calculateDelay} from "./view.js"
+import {PARENT_TYPES} from "../CalculateTree/CalculateTree.parentTypes.js"
+import {updateLinkHighlight} from "./view.highlight.js"
+import {setLinkDiffClass} from "./view.diff.js"
 
 export default function updateLinks(svg, tree, props={}) {
-  const links_data_dct = tree.data.reduce((acc, d) => {
-    createLinks({d, tree:tree.data, is_horizontal: tree.is_horizontal}).forEach(l => acc[l.id] = l)
+  // segments of the fan layout touch their relatives, there are no links to draw
+  const links_data_dct = tree.layout === 'fan' ? {} : tree.data.reduce((acc, d) => {
+    createLinks({d, tree:tree.data, is_horizontal: tree.is_horizontal, layout: tree.layout}).forEach(l => acc[l.id] = l)
     return acc
   }, {})
   const links_data = Object.values(links_data_dct)
@@ -27,7 +31,10 @@ export default function updateLinks(svg, tree, props={}) {
   function linkUpdate(d) {
     const path = d3.select(this);
     const delay = props.initial ? calculateDelay(tree, d, props.transition_time) : 0
-    path.transition('path').duration(props.transition_time).delay(delay).attr("d", createPath(d)).style("opacity", 1)
+    Object.keys(PARENT_TYPES).forEach(parent_type => path.classed(`link-${parent_type}`, d.parent_type === parent_type))
+    setLinkDiffClass(this, d, props)
+    updateLinkHighlight(this, d, props, delay)
+    path.transition('path').duration(props.transition_time).delay(delay).attr("d", createPath(d))
   }
 
   function linkExit(d) {
@@ -0,0 +1,93 @@
+// Layout benchmark: node tests/benchmark/calculateTree.benchmark.mjs
+// Generates synthetic trees of increasing size and checks that CalculateTree time grows roughly linearly.
+// Main is the oldest ancestor of the descendants, the youngest person of the ancestors, or in the middle of both.
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+
+const sizes = [1000, 2000, 4000, 8000]
+const max_time_per_person_ratio = 3  // time per person on the largest tree compared to the smallest one
+const runs = 3  // best of
+const fixtures = {
+  descendants: size => createFixture(size, 0, size),
+  ancestors: size => createFixture(size, size, 0),
+  both: size => createFixture(size, size/2, size/2),
+}
+
+const failed = Object.keys(fixtures).filter(name => !runFixture(name, fixtures[name]))
+if (failed.length > 0) {
+  console.error(`layout does not scale linearly for ${failed.join(', ')}, ratio should be below ${max_time_per_person_ratio}`)
+  process.exit(1)
+}
+
+function runFixture(name, createData) {
+  const warm_up_data = createData(1000)
+  CalculateTree({data: warm_up_data, main_id: warm_up_data[0].id})
+  const results = sizes.map(size => {
+    let tree, time = Infinity
+    for (let i = 0; i < runs; i++) {
+      const data = createData(size)
+      const start = performance.now()
+      tree = CalculateTree({data, main_id: data[0].id})
+      time = Math.min(time, performance.now() - start)
+    }
+    return {size, tree_size: tree.data.length, time, time_per_person: time / size}
+  })
+
+  console.log(name)
+  results.forEach(r => console.log(`${String(r.size).padStart(5)} persons, ${String(r.tree_size).padStart(5)} cards: ${r.time.toFixed(1)}ms (${(r.time_per_person*1000).toFixed(1)}µs per person)`))
+  const ratio = results[results.length-1].time_per_person / results[0].time_per_person
+  console.log(`time per person ratio ${sizes[sizes.length-1]}/${sizes[0]}: ${ratio.toFixed(2)}`)
+  return ratio <= max_time_per_person_ratio
+}
+
+// main is data[0]. every ancestor has both parents, every descendant couple has up to 3 children
+// and every child gets a spouse from outside of the family
+function createFixture(size, ancestors_size, descendants_size) {
+  const data = []
+  let next_id = 0
+  const main = createPerson('M')
+  addAncestors()
+  addDescendants()
+  return data
+
+  function addAncestors() {
+    const max_size = Math.min(size, data.length + ancestors_size)
+    const queue = [main]
+    while (data.length + 2 <= max_size && queue.length > 0) {
+      const child = queue.shift()
+      const [father, mother] = createCouple(createPerson('M'))
+      child.rels.father = father.id
+      child.rels.mother = mother.id
+      father.rels.children.push(child.id)
+      mother.rels.children.push(child.id)
+      queue.push(father, mother)
+    }
+  }
+
+  function addDescendants() {
+    const queue = [createCouple(main)]
+    while (data.length < size && queue.length > 0) {
+      const [p1, p2] = queue.shift()
+      for (let i = 0; i < 3 && data.length < size; i++) {
+        const child = createPerson(i % 2 ? 'F' : 'M')
+        child.rels.father = p1.id
+        child.rels.mother = p2.id
+        p1.rels.children.push(child.id)
+        p2.rels.children.push(child.id)
+        queue.push(createCouple(child))
+      }
+    }
+  }
+
+  function createCouple(person) {
+    const p2 = createPerson(person.data.gender === 'M' ? 'F' : 'M')
+    person.rels.spouses.push(p2.id)
+    p2.rels.spouses.push(person.id)
+    return person.data.gender === 'M' ? [person, p2] : [p2, person]
+  }
+
+  function createPerson(gender) {
+    const d = {id: `p${next_id++}`, data: {gender, 'first name': `Name ${next_id}`}, rels: {spouses: [], children: []}}
+    data.push(d)
+    return d
+  }
+}
@@ -0,0 +1,42 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {csvToData, dataToCsv} from '../../src/CreateTree/csv.js'
+
+test('imports rows with relations', () => {
+  const {data, report} = csvToData('id,father,mother,spouses,first name\nf,,,m,John\nm,,,f,Mary\nc,f,m,,Tom\nd,x,,,Ann')
+  const [f, m, c] = data
+  assert.equal(f.data['first name'], 'John')
+  assert.deepEqual(f.rels.spouses, ['m'])
+  assert.deepEqual(m.rels.children, ['c'])
+  assert.equal(c.rels.father, 'f')
+  assert.deepEqual(report.missing_ids, [{row: 5, column: 'father', id: 'x'}])
+})
+
+test('reports duplicate ids', () => {
+  const {data, report} = csvToData('id,first name\na,John\na,Jim')
+  assert.equal(data.length, 1)
+  assert.deepEqual(report.duplicate_ids, [{row: 3, id: 'a'}])
+})
+
+test('reads quoted fields with delimiters, quotes and line breaks', () => {
+  const {data} = csvToData('id,first name,notes\na,"Smith, John","said ""hi""\nthen left"')
+  assert.equal(data[0].data['first name'], 'Smith, John')
+  assert.equal(data[0].data.notes, 'said "hi"\nthen left')
+})
+
+test('keeps quotes in the middle of an unquoted field', () => {
+  const {data} = csvToData(`id,height,first name\na,5'10" tall,John\nb,6',Jim`)
+  assert.equal(data[0].data.height, `5'10" tall`)
+  assert.equal(data[0].data['first name'], 'John')
+  assert.equal(data[1].data['first name'], 'Jim')
+})
+
+test('round trips data', () => {
+  const data = [
+    {id: 'f', data: {'first name': 'John, Jr.', notes: 'a "b"'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {'first name': 'Mary'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {'first name': 'Tom'}, rels: {father: 'f', mother: 'm'}},
+  ]
+  const {data: imported} = csvToData(dataToCsv(data))
+  assert.deepEqual(imported.map(d => [d.id, d.data, d.rels]), data.map(d => [d.id, d.data, d.rels]))
+})
@@ -0,0 +1,55 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+import {createDataIndex, getMaxDepth} from '../../src/CalculateTree/CalculateTree.handlers.js'
+import {calculateKinships} from '../../src/CalculateTree/CalculateTree.calculateKinships.js'
+
+function createData() {
+  return [
+    {id: 'gf', data: {gender: 'M'}, rels: {children: ['f']}},
+    {id: 'f', data: {gender: 'M'}, rels: {father: 'gf', spouses: ['m'], children: ['c1', 'c2']}},
+    {id: 'm', data: {gender: 'F', private: true}, rels: {spouses: ['f'], children: ['c1', 'c2']}},
+    {id: 'c1', data: {gender: 'M'}, rels: {father: 'f', mother: 'm'}},
+    {id: 'c2', data: {gender: 'F'}, rels: {father: 'f', mother: 'm'}},
+  ]
+}
+
+test('first person wins on duplicate ids like in data.find', () => {
+  const data = [{id: 'a', data: {n: 1}, rels: {}}, {id: 'a', data: {n: 2}, rels: {}}]
+  assert.equal(createDataIndex(data).get('a'), data[0])
+})
+
+test('tree cards reference the persons of the data', () => {
+  const data = createData()
+  const tree = CalculateTree({data, main_id: 'f', single_parent_empty_card: false})
+  const data_index = createDataIndex(data)
+  tree.data.forEach(d => assert.equal(d.data, data_index.get(d.data.id)))
+  assert.deepEqual(tree.data.map(d => d.data.id).sort(), ['c1', 'c2', 'f', 'gf', 'm'])
+})
+
+test('private cards are found through parents and spouses', () => {
+  const tree = CalculateTree({data: createData(), main_id: 'f', private_cards_config: {condition: d => d.data.private}})
+  const private_ids = tree.data.filter(d => d.is_private).map(d => d.data.id).sort()
+  assert.deepEqual(private_ids, ['c1', 'c2', 'f', 'm'])
+})
+
+test('kinships and depth are found through the index', () => {
+  const data = createData()
+  const kinships = calculateKinships('c1', data)
+  assert.equal(kinships.gf, 'grandfather')
+  assert.equal(kinships.c2, 'sister')
+  assert.equal(getMaxDepth('c1', data).ancestry, 2)
+})
+
+test('layout does not add the "to add" persons to the index it gets', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {children: ['c']}},
+    {id: 'c', data: {gender: 'M'}, rels: {father: 'f'}},
+  ]
+  const data_index = createDataIndex(data)
+  const tree = CalculateTree({data, main_id: 'c', data_index})
+  const to_add = tree.data.find(d => d.data.to_add)
+  assert.ok(to_add)
+  assert.equal(tree.data_index.get(to_add.data.id), to_add.data)
+  assert.deepEqual([...data_index.keys()], ['f', 'c'])
+})
@@ -0,0 +1,41 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {parseDate, normalizeDate, formatDate, compareDates, getDateBounds} from '../../src/CreateTree/dates.js'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+
+test('parses exact, partial, approximate and ranged dates', () => {
+  assert.deepEqual(parseDate('12 mar 1762').start, {year: 1762, month: 3, day: 12})
+  assert.deepEqual(parseDate('1762').start, {year: 1762, month: null, day: null})
+  assert.equal(parseDate('abt 1850').qualifier, 'about')
+  assert.equal(parseDate('BET 1840 AND 1845').end.year, 1845)
+  assert.equal(parseDate('31 FEB 1900'), null)
+  assert.equal(parseDate('sometime'), null)
+})
+
+test('normalizes and formats dates', () => {
+  assert.equal(normalizeDate('1850-03-02'), '2 MAR 1850')
+  assert.equal(normalizeDate('about 1850'), 'ABT 1850')
+  assert.equal(normalizeDate('sometime'), 'sometime')
+  assert.equal(formatDate('BEF 1900'), 'before 1900')
+  assert.deepEqual(getDateBounds('ABT 1850'), {min: 1848, max: 1853})
+})
+
+test('compares dates with unparseable ones last', () => {
+  assert.deepEqual(['1900', 'x', 'MAR 1850', '1850'].sort(compareDates), ['1850', 'MAR 1850', '1900', 'x'])
+})
+
+test('parses many different dates the same way after the cache is full', () => {
+  for (let year = 1000; year < 3500; year++) assert.equal(parseDate(`${year}`).start.year, year)
+  assert.equal(parseDate('1000').start.year, 1000)
+})
+
+test('children are sorted by birth date unless another sortChildrenFunction is set', () => {
+  const data = [
+    {id: 'p', data: {gender: 'M'}, rels: {children: ['c1', 'c2']}},
+    {id: 'c1', data: {birthday: '1902'}, rels: {father: 'p'}},
+    {id: 'c2', data: {birthday: '1900'}, rels: {father: 'p'}},
+  ]
+  const order = tree => tree.data.filter(d => d.depth === 1 && !d.is_ancestry && !d.added).sort((a, b) => a.x - b.x).map(d => d.data.id)
+  assert.deepEqual(order(CalculateTree({data: JSON.parse(JSON.stringify(data)), main_id: 'p', single_parent_empty_card: false})), ['c2', 'c1'])
+  assert.deepEqual(order(CalculateTree({data, main_id: 'p', single_parent_empty_card: false, sortChildrenFunction: null})), ['c1', 'c2'])
+})
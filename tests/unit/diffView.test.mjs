@@ -0,0 +1,110 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import createStore from '../../src/createStore.js'
+import {createDiffViewData} from '../../src/CreateTree/dataDiff.js'
+
+const copy = value => JSON.parse(JSON.stringify(value))
+
+function createData() {
+  return [
+    {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F', 'first name': 'Mary'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {gender: 'M', 'first name': 'Tom'}, rels: {father: 'f', mother: 'm'}},
+  ]
+}
+
+// c is renamed, m is removed and d is added
+function createNextData() {
+  return [
+    {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {children: ['c', 'd']}},
+    {id: 'c', data: {gender: 'M', 'first name': 'Thomas'}, rels: {father: 'f'}},
+    {id: 'd', data: {gender: 'F', 'first name': 'Ann'}, rels: {father: 'f'}},
+  ]
+}
+
+test('diff view data marks added, removed and changed persons', () => {
+  const next_data = createNextData()
+  const {data, status, summary} = createDiffViewData(createData(), next_data)
+  assert.deepEqual([...status], [['d', 'added'], ['f', 'changed'], ['c', 'changed'], ['m', 'removed']])
+  assert.deepEqual(summary.removed, ['m'])
+  assert.deepEqual(data.map(d => d.id), ['f', 'c', 'd', 'm'])
+  assert.deepEqual(next_data, createNextData())
+})
+
+test('removed persons are linked back to their relatives', () => {
+  const {data} = createDiffViewData(createData(), createNextData())
+  const get = id => data.find(d => d.id === id)
+  assert.deepEqual(get('m').rels.spouses, ['f'])
+  assert.deepEqual(get('m').rels.children, ['c'])
+  assert.deepEqual(get('f').rels.spouses, ['m'])
+  assert.equal(get('c').rels.mother, 'm')
+})
+
+test('removed child is not linked back to a parent slot that is taken', () => {
+  const prev_data = [
+    {id: 'f', data: {gender: 'M'}, rels: {children: ['c']}},
+    {id: 'c', data: {gender: 'M'}, rels: {father: 'f'}},
+  ]
+  const next_data = [
+    {id: 'f2', data: {gender: 'M'}, rels: {spouses: ['m2'], children: ['c']}},
+    {id: 'm2', data: {gender: 'F'}, rels: {spouses: ['f2'], children: ['c']}},
+    {id: 'c', data: {gender: 'M'}, rels: {father: 'f2', mother: 'm2'}},
+  ]
+  const {data} = createDiffViewData(prev_data, next_data)
+  assert.deepEqual(data.find(d => d.id === 'c').rels, {father: 'f2', mother: 'm2'})
+  assert.deepEqual(data.find(d => d.id === 'f').rels.children, [])
+})
+
+function setup() {
+  const store = createStore({data: createNextData(), main_id: 'f', node_separation: 250, level_separation: 150})
+  store.updateTree({initial: true})
+  const changes = []
+  store.setOnDataChange(ids => changes.push(ids))
+  return {store, changes}
+}
+
+test('store shows the diff view and restores the data', () => {
+  const {store} = setup()
+  const data = store.getData()
+  const diff_view = store.setDiffView(createData())
+  assert.equal(diff_view.data, data)
+  assert.equal(diff_view.status.get('m'), 'removed')
+  assert.equal(store.getDatum('m').data['first name'], 'Mary')
+  assert.equal(store.getDataIndex().get('m'), store.getDatum('m'))
+
+  assert.equal(store.setDiffView(null), null)
+  assert.equal(store.getData(), data)
+  assert.equal(store.getDataIndex().has('m'), false)
+})
+
+test('diff view compares with the original data when it is shown again', () => {
+  const {store} = setup()
+  const data = store.getData()
+  store.setDiffView(createData())
+  const diff_view = store.setDiffView(createData().slice(0, 1))
+  assert.equal(diff_view.data, data)
+  assert.equal(diff_view.status.get('c'), 'added')
+  assert.equal(store.getDatum('m'), undefined)
+})
+
+test('data can not be changed while the diff view is shown', t => {
+  t.mock.method(console, 'error', () => {})
+  const {store, changes} = setup()
+  store.setDiffView(createData())
+  const diff_data = copy(store.getData())
+
+  assert.equal(store.addRelative('c', 'daughter', {}), undefined)
+  assert.equal(store.removeRelationship('f', 'c'), undefined)
+  assert.equal(store.deletePerson('d'), undefined)
+  assert.equal(store.addSource({title: 'Parish register'}), undefined)
+  store.updateData([])
+  store.updateSources([{id: 's', data: {}}])
+  assert.equal(console.error.mock.callCount(), 6)
+  assert.deepEqual(store.getData(), diff_data)
+  assert.deepEqual(store.getSources(), [])
+  assert.deepEqual(changes, [])
+
+  store.setDiffView(null)
+  assert.ok(store.addRelative('c', 'daughter', {}))
+  assert.equal(changes.length, 1)
+})
@@ -0,0 +1,109 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {mergePersons, findDuplicatePersons, getMergeConflicts} from '../../src/CreateTree/duplicates.js'
+
+function createData() {
+  return [
+    {id: 'f', data: {gender: 'M', 'first name': 'John', 'last name': 'Smith'}, rels: {children: ['c']}},
+    {id: 'c', data: {gender: 'M', 'first name': 'Tom'}, rels: {father: 'f', mother: 'w'}},
+    {id: 'w', data: {gender: 'F', 'first name': 'Joan', 'last name': 'Smith'}, rels: {children: ['c']}},
+    {id: 'f2', data: {gender: 'M', 'first name': 'John', 'last name': 'Smith'}, rels: {children: ['c2']}},
+    {id: 'c2', data: {gender: 'F', 'first name': 'Ann'}, rels: {father: 'f2'}},
+  ]
+}
+
+test('merged person takes over the children of the dropped person', () => {
+  const data = createData()
+  const keep = mergePersons(data, 'f', 'f2')
+  assert.equal(data.some(d => d.id === 'f2'), false)
+  assert.deepEqual(keep.rels.children, ['c', 'c2'])
+  assert.equal(data.find(d => d.id === 'c2').rels.father, 'f')
+})
+
+test('persons with a different gender are not merged', t => {
+  t.mock.method(console, 'error', () => {})
+  const data = createData()
+  const keep = mergePersons(data, 'w', 'f2')
+  assert.equal(console.error.mock.callCount(), 1)
+  assert.equal(keep, undefined)
+  assert.deepEqual(data, createData())
+})
+
+test('persons with a different gender are not reported as duplicates', () => {
+  const duplicates = findDuplicatePersons(createData(), {threshold: 0})
+  assert.deepEqual(duplicates.map(d => d.ids), [['f', 'f2']])
+})
+
+test('duplicates are scored by name, dates and parents', () => {
+  const data = createData()
+  const [duplicate] = findDuplicatePersons(data)
+  assert.deepEqual(duplicate.similarity, {name: 1, birth: .5, death: .5, parents: .5})
+  assert.equal(duplicate.score, .75)
+
+  data.find(d => d.id === 'f').data.birthday = '1850'
+  data.find(d => d.id === 'f2').data.birthday = '1852'
+  assert.equal(findDuplicatePersons(data)[0].similarity.birth, .8)
+
+  data.find(d => d.id === 'f2').data.birthday = '1870'
+  assert.equal(findDuplicatePersons(data, {threshold: 0})[0].similarity.birth, 0)
+  assert.deepEqual(findDuplicatePersons(data), [])
+})
+
+test('conflicting fields and parents are reported', () => {
+  const data = createData()
+  const [, c, , , c2] = data
+  c.data.birthday = '1850'
+  c2.data.birthday = '1851'
+  c2.data['last name'] = 'Smith'
+  assert.deepEqual(getMergeConflicts(c, c2), [
+    {field: 'gender', keep_value: 'M', drop_value: 'F'},
+    {field: 'first name', keep_value: 'Tom', drop_value: 'Ann'},
+    {field: 'birthday', keep_value: '1850', drop_value: '1851'},
+    {field: 'father', is_rel: true, keep_value: 'f', drop_value: 'f2'},
+  ])
+})
+
+test('conflicts are resolved with resolveConflict and keep the value of keep by default', () => {
+  const data = createData()
+  data.find(d => d.id === 'f').data.birthday = '1850'
+  data.find(d => d.id === 'f2').data.birthday = '1851'
+  data.find(d => d.id === 'f2').data.occupation = 'smith'
+  const keep = mergePersons(structuredClone(data), 'f', 'f2')
+  assert.equal(keep.data.birthday, '1850')
+  assert.equal(keep.data.occupation, 'smith')
+
+  const conflicts = []
+  const resolved = mergePersons(data, 'f', 'f2', {resolveConflict: (conflict, keep, drop) => {
+    conflicts.push([conflict.field, keep.id, drop.id])
+    return conflict.drop_value
+  }})
+  assert.deepEqual(conflicts, [['birthday', 'f', 'f2']])
+  assert.equal(resolved.data.birthday, '1851')
+})
+
+test('resolved parent conflict moves the child to the chosen parent', () => {
+  const data = [
+    {id: 'p1', data: {gender: 'M'}, rels: {children: ['a']}},
+    {id: 'p2', data: {gender: 'M'}, rels: {children: ['b']}},
+    {id: 'a', data: {gender: 'F', 'first name': 'Ann'}, rels: {father: 'p1'}},
+    {id: 'b', data: {gender: 'F', 'first name': 'Ann'}, rels: {father: 'p2'}},
+  ]
+  const keep = mergePersons(data, 'a', 'b', {resolveConflict: conflict => conflict.drop_value})
+  assert.equal(keep.rels.father, 'p2')
+  assert.deepEqual(data.find(d => d.id === 'p1').rels.children, [])
+  assert.deepEqual(data.find(d => d.id === 'p2').rels.children, ['a'])
+})
+
+test('partnerships of the dropped person move to the kept person', () => {
+  const data = [
+    {id: 'a', data: {gender: 'M', 'first name': 'John'}, rels: {spouses: ['w1']}, partnerships: {w1: {type: 'married', start_date: '1870'}}},
+    {id: 'b', data: {gender: 'M', 'first name': 'John'}, rels: {spouses: ['w1', 'w2']}, partnerships: {w1: {type: 'married', start_date: '1871'}}},
+    {id: 'w1', data: {gender: 'F'}, rels: {spouses: ['a', 'b']}},
+    {id: 'w2', data: {gender: 'F'}, rels: {spouses: ['b']}, partnerships: {b: {type: 'engaged'}}},
+  ]
+  const keep = mergePersons(data, 'a', 'b')
+  assert.deepEqual(keep.rels.spouses, ['w1', 'w2'])
+  assert.deepEqual(keep.partnerships, {w1: {type: 'married', start_date: '1870'}, w2: {type: 'engaged'}})
+  assert.deepEqual(data.find(d => d.id === 'w1').rels.spouses, ['a'])
+  assert.equal(data.find(d => d.id === 'w2').partnerships, undefined)
+})
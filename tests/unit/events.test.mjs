@@ -0,0 +1,42 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {getEvent, getEvents, addEvent, updateEvent, removeEvent, setEvents, getEventValue} from '../../src/CreateTree/events.js'
+import {processCardDisplay} from '../../src/Cards/utils.js'
+
+test('events are added with an id and only the event props', () => {
+  const datum = {id: 'a', data: {}, rels: {}}
+  const event = addEvent(datum, {type: 'residence', date: '2 MAR 1850', place: 'Boston', note: 'not an event prop'})
+  assert.ok(event.id)
+  assert.deepEqual(datum.events, [{id: event.id, type: 'residence', date: '2 MAR 1850', place: 'Boston'}])
+
+  updateEvent(datum, event.id, {place: 'Salem'})
+  assert.equal(getEvents(datum, 'residence')[0].place, 'Salem')
+  removeEvent(datum, event.id)
+  assert.equal(datum.events, undefined)
+})
+
+test('events without a type are not kept', () => {
+  const datum = {id: 'a', data: {}, rels: {}}
+  setEvents(datum, [{type: 'birth', date: '1850'}, {date: '1900'}])
+  assert.deepEqual(getEvents(datum).map(e => e.type), ['birth'])
+  setEvents(datum, [{place: 'Boston'}])
+  assert.equal(datum.events, undefined)
+})
+
+test('birth and death fall back to the legacy data fields', () => {
+  const datum = {id: 'a', data: {birthday: '1850', birthplace: 'Boston'}, rels: {}}
+  assert.deepEqual(getEvent(datum, 'birth'), {type: 'birth', date: '1850', place: 'Boston'})
+  assert.equal(getEvent(datum, 'death'), null)
+  addEvent(datum, {type: 'birth', date: 'ABT 1851'})
+  assert.equal(getEvent(datum, 'birth').date, 'ABT 1851')
+})
+
+test('card display keys read event values', () => {
+  const datum = {id: 'a', data: {'first name': 'Ann'}, rels: {}, events: [{id: 'e', type: 'death', date: '12 MAR 1900', place: 'Salem'}]}
+  assert.equal(getEventValue(datum, 'death year'), 1900)
+  assert.equal(getEventValue(datum, 'death place'), 'Salem')
+  assert.equal(getEventValue(datum, 'death'), undefined)
+  const [name_and_year, place] = processCardDisplay([['first name', 'death year'], 'death place'])
+  assert.equal(name_and_year(datum), 'Ann 1900')
+  assert.equal(place(datum), 'Salem')
+})
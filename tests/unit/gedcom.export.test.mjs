@@ -0,0 +1,102 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {gedcomToData, dataToGedcom} from '../../src/CreateTree/gedcom.js'
+
+function family() {
+  return [
+    {id: 'f', data: {gender: 'M', 'first name': 'John', 'last name': 'Smith', birthday: '1900'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F', 'first name': 'Mary', 'last name': 'Jones'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {gender: 'M', 'first name': 'Tom', 'last name': 'Smith'}, rels: {father: 'f', mother: 'm'}},
+  ]
+}
+
+test('round trips persons and families', () => {
+  const {data, report} = gedcomToData(dataToGedcom(family()))
+  assert.deepEqual(report.broken_xrefs, [])
+  const by_name = Object.fromEntries(data.map(d => [d.data['first name'], d]))
+  assert.equal(by_name.John.data.birthday, '1900')
+  assert.equal(by_name.Tom.rels.father, by_name.John.id)
+  assert.equal(by_name.Tom.rels.mother, by_name.Mary.id)
+  assert.deepEqual(by_name.John.rels.spouses, [by_name.Mary.id])
+})
+
+test('skips dangling references', () => {
+  const data = family()
+  data[0].rels.spouses.push('missing')
+  data[2].rels.mother = 'missing'
+  const gedcom = dataToGedcom(data)
+  assert.ok(!gedcom.includes('undefined'))
+  const {data: imported, report} = gedcomToData(gedcom)
+  assert.deepEqual(report.broken_xrefs, [])
+  const tom = imported.find(d => d.data['first name'] === 'Tom')
+  assert.ok(tom.rels.father)
+  assert.equal(tom.rels.mother, undefined)
+})
+
+test('escapes @ in values', () => {
+  const data = family()
+  data[0].data['last name'] = 'Sm@th'
+  data[0].data.birthplace = 'john@example.com ' + '@'.repeat(300)
+  const gedcom = dataToGedcom(data)
+  assert.ok(gedcom.includes('2 SURN Sm@@th'))
+  gedcom.split('\n').filter(line => /^\d+ (NAME|SURN|PLAC|CONC|CONT) /.test(line)).forEach(line => {
+    (line.match(/@+/g) || []).forEach(run => assert.equal(run.length % 2, 0, line))
+  })
+  const {data: imported} = gedcomToData(gedcom)
+  assert.equal(imported[0].data['last name'], 'Sm@th')
+  assert.equal(imported[0].data.birthplace, data[0].data.birthplace)
+})
+
+test('exports marriage and divorce date fields as FAM events', () => {
+  const data = family()
+  data[0].data['marriage date__ref__m'] = '1920'
+  data[1].data['marriage date__ref__f'] = '1920'
+  data[0].data['divorce date__ref__m'] = '1930'
+  const gedcom = dataToGedcom(data)
+  assert.match(gedcom, /1 MARR\n2 DATE 1920\n/)
+  assert.match(gedcom, /1 DIV\n2 DATE 1930\n/)
+
+  const {data: imported} = gedcomToData(gedcom)
+  const john = imported.find(d => d.data['first name'] === 'John')
+  const mary = imported.find(d => d.data['first name'] === 'Mary')
+  assert.equal(john.data[`marriage date__ref__${mary.id}`], '1920')
+  assert.equal(mary.data[`divorce date__ref__${john.id}`], '1930')
+  assert.equal(john.partnerships[mary.id].start_date, '1920')
+})
+
+test('writes a marriage once when it is in a partnership record and a date field', () => {
+  const data = family()
+  data[0].data['marriage date__ref__m'] = '1920'
+  data[0].partnerships = {m: {type: 'married', start_date: '1920', place: 'London'}}
+  const gedcom = dataToGedcom(data)
+  assert.equal(gedcom.match(/1 MARR/g).length, 1)
+  assert.match(gedcom, /1 MARR\n2 DATE 1920\n2 PLAC London\n/)
+})
+
+test('skips date fields of events whose date is in the partnership record', () => {
+  const data = family()
+  data[0].data['marriage date__ref__m'] = '1920'
+  data[1].data['divorce date__ref__f'] = '1930'
+  data[0].partnerships = {m: {type: 'partner', start_date: '1918', end_reason: 'death', end_date: '1940'}}
+  const gedcom = dataToGedcom(data)
+  assert.equal(gedcom.match(/1 MARR/g).length, 1)
+  assert.match(gedcom, /1 MARR\n2 TYPE partner\n2 DATE 1918\n/)
+  assert.equal(gedcom.match(/1 (DIV|EVEN)/g).length, 1)
+  assert.match(gedcom, /1 EVEN\n2 TYPE death\n2 DATE 1940\n/)
+
+  const {data: imported} = gedcomToData(gedcom)
+  const john = imported.find(d => d.data['first name'] === 'John')
+  const mary = imported.find(d => d.data['first name'] === 'Mary')
+  assert.deepEqual(john.partnerships[mary.id], data[0].partnerships.m)
+  assert.equal(john.data[`marriage date__ref__${mary.id}`], '1918')
+  assert.equal(mary.data[`divorce date__ref__${john.id}`], undefined)
+  assert.equal(dataToGedcom(imported).match(/1 (MARR|DIV|EVEN)/g).length, 2)
+})
+
+test('exports only the GEDCOM 5.5.1 SEX values', () => {
+  const data = family()
+  data[1].data.gender = 'X'
+  delete data[2].data.gender
+  const sex_lines = dataToGedcom(data).split('\n').filter(line => line.startsWith('1 SEX'))
+  assert.deepEqual(sex_lines, ['1 SEX M', '1 SEX U', '1 SEX U'])
+})
@@ -0,0 +1,55 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {gedcomToData} from '../../src/CreateTree/gedcom.js'
+
+const gedcom = (...lines) => ['0 HEAD', ...lines, '0 TRLR'].join('\n')
+
+test('imports persons and families', () => {
+  const {data, report} = gedcomToData(gedcom(
+    '0 @I1@ INDI', '1 NAME John /Smith/', '1 SEX M', '1 BIRT', '2 DATE 1 JAN 1900', '2 PLAC Boston',
+    '0 @I2@ INDI', '1 NAME Mary /Jones/', '1 SEX F',
+    '0 @I3@ INDI', '1 NAME Tom /Smith/', '1 SEX M',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 MARR', '2 DATE 1925',
+  ))
+  const [john, mary, tom] = data
+  assert.equal(john.data['first name'], 'John')
+  assert.equal(john.data['last name'], 'Smith')
+  assert.equal(john.data.birthday, '1 JAN 1900')
+  assert.equal(john.data.birthplace, 'Boston')
+  assert.deepEqual(john.rels.spouses, ['I2'])
+  assert.deepEqual(mary.rels.children, ['I3'])
+  assert.equal(tom.rels.father, 'I1')
+  assert.equal(tom.rels.mother, 'I2')
+  assert.deepEqual(report.unsupported_tags, [])
+  assert.deepEqual(report.conflicting_parents, [])
+})
+
+test('joins CONT and CONC lines', () => {
+  const {data} = gedcomToData(gedcom('0 @I1@ INDI', '1 BIRT', '2 PLAC Parish', '3 CONC  church', '3 CONT of Bath'))
+  assert.equal(data[0].data.birthplace, 'Parish church\nof Bath')
+})
+
+test('reports broken xrefs', () => {
+  const {report} = gedcomToData(gedcom('0 @I1@ INDI', '1 FAMC @F9@', '0 @F1@ FAM', '1 CHIL @I9@'))
+  assert.deepEqual(report.broken_xrefs.map(b => b.xref), ['@F9@', '@I9@'])
+})
+
+test('reports lines that skip a level instead of attaching them to the wrong parent', () => {
+  const {data, report} = gedcomToData(gedcom('0 @I1@ INDI', '1 NAME John /Smith/', '1 BIRT', '3 DATE 1900', '4 NOTE deeper', '1 SEX M'))
+  assert.equal(data[0].data.birthday, undefined)
+  assert.equal(data[0].data.gender, 'M')
+  assert.deepEqual(report.unsupported_tags.map(t => [t.line, t.tag, t.reason]), [[5, 'DATE', 'skipped level'], [6, 'NOTE', 'skipped level']])
+})
+
+test('reports a child listed in two families and keeps the first parents', () => {
+  const {data, report} = gedcomToData(gedcom(
+    '0 @I1@ INDI', '1 SEX M', '0 @I2@ INDI', '1 SEX F', '0 @I3@ INDI', '1 SEX M', '0 @I4@ INDI',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I4@',
+    '0 @F2@ FAM', '1 HUSB @I3@', '1 WIFE @I2@', '1 CHIL @I4@',
+  ))
+  const child = data.find(d => d.id === 'I4')
+  assert.equal(child.rels.father, 'I1')
+  assert.equal(child.rels.mother, 'I2')
+  assert.equal(data.find(d => d.id === 'I3').rels.children, undefined)
+  assert.deepEqual(report.conflicting_parents, [{line: 16, child_id: 'I4', rel_type: 'father', kept_id: 'I1', ignored_id: 'I3'}])
+})
@@ -0,0 +1,43 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+import {createLinks} from '../../src/CalculateTree/createLinks.js'
+import {cardOpacity, linkOpacity} from '../../src/view/view.highlight.js'
+
+function createTree() {
+  const data = [
+    {id: 'f', data: {gender: 'M', 'last name': 'Smith'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F', 'last name': 'Jones'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {gender: 'M', 'last name': 'Smith'}, rels: {father: 'f', mother: 'm', spouses: ['w']}},
+    {id: 'w', data: {gender: 'F', 'last name': 'Brown'}, rels: {spouses: ['c']}},
+  ]
+  const tree = CalculateTree({data, main_id: 'c'})
+  const links = tree.data.flatMap(d => createLinks({d, tree: tree.data}))
+  return {tree, links}
+}
+
+const card = (tree, id) => tree.data.find(d => d.data.id === id)
+
+test('cards not matching the highlight are dimmed', () => {
+  const {tree} = createTree()
+  const props = {highlight: datum => datum.data['last name'] === 'Jones', highlight_dim_opacity: .3}
+  assert.equal(cardOpacity(card(tree, 'm'), props), 1)
+  assert.equal(cardOpacity(card(tree, 'f'), props), .3)
+  assert.equal(cardOpacity(card(tree, 'f'), {highlight: props.highlight}), .2)
+  assert.equal(cardOpacity(card(tree, 'f'), {}), 1)
+})
+
+test('highlight predicate gets the tree datum too', () => {
+  const {tree} = createTree()
+  const props = {highlight: (datum, tree_datum) => tree_datum.depth === 1}
+  assert.equal(cardOpacity(card(tree, 'c'), props), .2)
+  assert.equal(cardOpacity(card(tree, 'f'), props), 1)
+})
+
+test('links touching a highlighted card are not dimmed', () => {
+  const {links} = createTree()
+  const props = {highlight: datum => datum.id === 'm'}
+  const touches_mother = link => [link.source, link.target].flat().some(d => d.data.id === 'm')
+  assert.ok(links.some(touches_mother) && links.some(link => !touches_mother(link)))
+  links.forEach(link => assert.equal(linkOpacity(link, props), touches_mother(link) ? 1 : .2))
+})
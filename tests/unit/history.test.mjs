@@ -0,0 +1,189 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createHistory} from '../../src/CreateTree/history.js'
+import {diffData, diffDataOf} from '../../src/CreateTree/dataDiff.js'
+import {cleanupDataJson} from '../../src/CreateTree/form.js'
+import {addRelative, removeRelationship} from '../../src/CreateTree/mutations.js'
+
+const copy = value => JSON.parse(JSON.stringify(value))
+// removed rels are null in the store and missing after a patch is applied
+const withoutNulls = value => JSON.parse(JSON.stringify(value, (k, v) => v === null ? undefined : v))
+
+function createData() {
+  return [
+    {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F', 'first name': 'Mary'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {gender: 'M', 'first name': 'Tom'}, rels: {father: 'f', mother: 'm'}},
+    {id: 'x', data: {gender: 'F', 'first name': 'Ann'}, rels: {}},
+  ]
+}
+
+function setup() {
+  let data = createData()
+  let main_id = 'f'
+  let sources = []
+  const store = {
+    state: {},
+    getData: () => data,
+    getMainId: () => main_id,
+    getSources: () => sources,
+    updateData: new_data => data = new_data,
+    updateMainId: id => main_id = id,
+    updateSources: new_sources => sources = new_sources,
+  }
+  let copies = 0
+  const getStoreDataCopy = () => {
+    copies++
+    return cleanupDataJson(copy(data))
+  }
+  const history = createHistory(store, getStoreDataCopy, () => {})
+  history.changed()
+  return {store, history, getCopies: () => copies}
+}
+
+test('changes of given persons are recorded without copying the whole data', () => {
+  const {store, history, getCopies} = setup()
+  const child = addRelative(store.getData(), 'c', 'son', {'first name': 'Bob'})
+  history.changed(['c', child.id])
+  store.getData().find(d => d.id === 'x').data['first name'] = 'Anna'
+  history.changed(['x'])
+  removeRelationship(store.getData(), 'f', 'm')
+  history.changed(['f', 'm'])
+  assert.equal(getCopies(), 1)
+
+  const edited = withoutNulls(store.getData())
+  history.back()
+  history.back()
+  history.back()
+  assert.deepEqual(store.getData(), createData())
+  assert.equal(history.canBack(), false)
+  history.forward()
+  history.forward()
+  history.forward()
+  assert.deepEqual(withoutNulls(store.getData()), edited)
+})
+
+test('patch of given persons is the same as the full diff', () => {
+  const prev_data = createData()
+  const next_data = createData()
+  const child = addRelative(next_data, 'c', 'son', {'first name': 'Bob'})
+  next_data.find(d => d.id === 'f').data['first name'] = 'Jack'
+  const patch = diffDataOf(prev_data, next_data, ['c', child.id])
+  const full_patch = diffData(prev_data, next_data)
+  assert.deepEqual(patch.added, full_patch.added)
+  assert.deepEqual(patch.changed.find(change => change.id === 'c'), full_patch.changed.find(change => change.id === 'c'))
+  assert.equal(patch.changed.some(change => change.id === 'f'), true, 'relatives of the given persons are compared')
+})
+
+test('placeholder persons and references to them are left out of the patch', () => {
+  const prev_data = createData()
+  const next_data = createData()
+  next_data.push({id: 'p', data: {gender: 'M'}, rels: {children: ['x']}, to_add: true})
+  next_data.find(d => d.id === 'x').rels.father = 'p'
+  next_data.find(d => d.id === 'x').main = true
+  const patch = diffDataOf(prev_data, next_data, ['x'])
+  assert.deepEqual(patch, {added: [], removed: [], changed: []})
+})
+
+test('removed persons are restored at their position', () => {
+  const {store, history} = setup()
+  store.updateData(store.getData().filter(d => d.id !== 'm'))
+  store.getData().forEach(d => {
+    if (d.rels.spouses) d.rels.spouses = d.rels.spouses.filter(id => id !== 'm')
+    if (d.rels.mother === 'm') delete d.rels.mother
+  })
+  history.changed(['m'])
+  history.back()
+  assert.deepEqual(store.getData(), createData())
+})
+
+test('history data is the clean data at the current position', () => {
+  const {store, history, getCopies} = setup()
+  store.getData().find(d => d.id === 'x').data['first name'] = 'Anna'
+  history.changed(['x'])
+  assert.deepEqual([...history.getData()], store.getData())
+  assert.equal(history.getData().main_id, 'f')
+  history.back()
+  assert.deepEqual([...history.getData()], createData())
+  assert.equal(getCopies(), 1)
+})
+
+test('lowering the max depth after undo keeps the data at the current position', () => {
+  const {store, history} = setup()
+  const names = ['Ann', 'Anna', 'Annie', 'Nancy']
+  names.slice(1).forEach(name => {
+    store.getData().find(d => d.id === 'x').data['first name'] = name
+    history.changed(['x'])
+  })
+  const name = () => store.getData().find(d => d.id === 'x').data['first name']
+  history.back()
+  history.back()
+  assert.equal(name(), 'Anna')
+
+  history.setMaxDepth(1)
+  assert.equal(history.canBack(), false, 'the oldest undo step is dropped first')
+  assert.equal(history.canForward(), true)
+  history.forward()
+  assert.equal(name(), 'Annie')
+  history.back()
+  assert.equal(name(), 'Anna')
+
+  history.setMaxDepth(0)
+  assert.equal(history.canForward(), false)
+  assert.equal(name(), 'Anna')
+})
+
+test('redo after lowering the max depth goes to the next state', () => {
+  const {store, history} = setup()
+  const names = ['Ann', 'Anna', 'Annie', 'Nancy']
+  names.slice(1).forEach(name => {
+    store.getData().find(d => d.id === 'x').data['first name'] = name
+    history.changed(['x'])
+  })
+  const name = () => store.getData().find(d => d.id === 'x').data['first name']
+  history.back()
+  history.back()
+  history.back()
+  history.setMaxDepth(2)
+  assert.equal(history.canBack(), false)
+  history.forward()
+  assert.equal(name(), 'Anna')
+  history.forward()
+  assert.equal(name(), 'Annie')
+  assert.equal(history.canForward(), false)
+  assert.deepEqual(store.getData(), history.getData().slice())
+})
+
+test('source changes are undone and redone with the person changes', () => {
+  const {store, history} = setup()
+  store.updateSources([...store.getSources(), {id: 's', data: {title: 'Census'}}])
+  store.getData()[0].citations = [{id: 'ct', source_id: 's', target_type: 'person'}]
+  history.changed(['f'])
+  store.getSources()[0].data.title = 'Census 1900'
+  history.changed([])
+  assert.deepEqual(history.getState().patches.map(patch => !!patch.sources), [true, true])
+
+  history.back()
+  assert.deepEqual(store.getSources(), [{id: 's', data: {title: 'Census'}}])
+  history.back()
+  assert.deepEqual(store.getSources(), [])
+  assert.equal(store.getData()[0].citations, undefined)
+  history.forward()
+  assert.deepEqual(history.getSources(), [{id: 's', data: {title: 'Census'}}])
+  assert.deepEqual(store.getData()[0].citations, [{id: 'ct', source_id: 's', target_type: 'person'}])
+  store.getSources()[0].data.title = 'changed in the store'
+  assert.equal(history.getSources()[0].data.title, 'Census')
+})
+
+test('history can not be moved while the diff view is shown', () => {
+  const {store, history} = setup()
+  store.getData().find(d => d.id === 'x').data['first name'] = 'Anna'
+  history.changed(['x'])
+  store.state.diff_view = {}
+  assert.equal(history.canBack(), false)
+  history.back()
+  assert.equal(store.getData().find(d => d.id === 'x').data['first name'], 'Anna')
+  store.state.diff_view = null
+  history.back()
+  assert.equal(store.getData().find(d => d.id === 'x').data['first name'], 'Ann')
+})
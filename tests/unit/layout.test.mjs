@@ -0,0 +1,83 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+import {getParentSlot, orderParentIds} from '../../src/CreateTree/newPerson.js'
+import {getSpouseTextLinks} from '../../src/view/elements/LinkSpouseText.js'
+
+const node = (tree, id) => tree.data.find(d => d.data.id === id && !d.duplicate)
+
+function sameSexCouple() {
+  return [
+    {id: 'a', data: {gender: 'M'}, rels: {spouses: ['b'], children: ['c1', 'c2']}},
+    {id: 'b', data: {gender: 'M'}, rels: {spouses: ['a'], children: ['c1', 'c2']}},
+    {id: 'c1', data: {gender: 'F'}, rels: {father: 'a', mother: 'b'}},
+    {id: 'c2', data: {gender: 'X'}, rels: {father: 'a', mother: 'b'}},
+  ]
+}
+
+test('spouses are placed by the parent slots of their children, not by gender', () => {
+  const tree_a = CalculateTree({data: sameSexCouple(), main_id: 'a'})
+  assert.ok(node(tree_a, 'a').x < node(tree_a, 'b').x)
+  const tree_b = CalculateTree({data: sameSexCouple(), main_id: 'b'})
+  assert.ok(node(tree_b, 'a').x < node(tree_b, 'b').x)
+})
+
+test('person in the mother slot is right of its spouse whatever its gender', () => {
+  const data = [
+    {id: 'a', data: {gender: 'F'}, rels: {spouses: ['b'], children: ['c']}},
+    {id: 'b', data: {gender: 'U'}, rels: {spouses: ['a'], children: ['c']}},
+    {id: 'c', data: {}, rels: {father: 'a', mother: 'b'}},
+  ]
+  const tree = CalculateTree({data, main_id: 'b'})
+  assert.ok(node(tree, 'a').x < node(tree, 'b').x)
+})
+
+test('children of the first spouse are next to it', () => {
+  const data = [
+    {id: 'p', data: {gender: 'F'}, rels: {spouses: ['s1', 's2'], children: ['c1', 'c2']}},
+    {id: 's1', data: {gender: 'F'}, rels: {spouses: ['p'], children: ['c1']}},
+    {id: 's2', data: {gender: 'F'}, rels: {spouses: ['p'], children: ['c2']}},
+    {id: 'c1', data: {}, rels: {father: 'p', mother: 's1'}},
+    {id: 'c2', data: {}, rels: {father: 'p', mother: 's2'}},
+  ]
+  const tree = CalculateTree({data, main_id: 'p'})
+  assert.ok(node(tree, 'p').x < node(tree, 's1').x)
+  assert.ok(node(tree, 's1').x < node(tree, 's2').x)
+  assert.ok(node(tree, 'c1').x < node(tree, 'c2').x)
+})
+
+test('parent slot is the one the child uses, otherwise the free slot preferred by gender', () => {
+  const child = {id: 'c', data: {}, rels: {father: 'a'}}
+  const person = (id, gender) => ({id, data: {gender}, rels: {}})
+  assert.equal(getParentSlot(child, person('a', 'F')), 'father')
+  assert.equal(getParentSlot(child, person('b', 'F')), 'mother')
+  assert.equal(getParentSlot(child, person('b', 'M')), 'mother')
+  assert.equal(getParentSlot({id: 'c', data: {}, rels: {}}, person('b', 'M')), 'father')
+  assert.equal(getParentSlot({id: 'c', data: {}, rels: {}}, person('b', 'F')), 'mother')
+  assert.equal(getParentSlot({id: 'c', data: {}, rels: {father: 'a', mother: 'b'}}, person('d', 'F')), null)
+})
+
+test('parent ids are ordered by the slots of a shared child, otherwise by gender', () => {
+  const data = sameSexCouple()
+  assert.deepEqual(orderParentIds(data[0], data[1], data), ['a', 'b'])
+  assert.deepEqual(orderParentIds(data[1], data[0], data), ['a', 'b'])
+
+  const mother = {id: 'm', data: {gender: 'F'}, rels: {}}
+  const father = {id: 'f', data: {gender: 'M'}, rels: {}}
+  assert.deepEqual(orderParentIds(mother, father, []), ['f', 'm'])
+  assert.deepEqual(orderParentIds(father, mother, []), ['f', 'm'])
+})
+
+test('spouse text is added once per couple whatever slots the parents use', () => {
+  const data = [
+    {id: 'c', data: {gender: 'F'}, rels: {father: 'a', mother: 'b', adoptive_parents: ['x', 'y']}},
+    ...sameSexCouple().filter(d => d.id !== 'c1' && d.id !== 'c2').map(d => ({...d, rels: {...d.rels, children: ['c']}})),
+    {id: 'x', data: {gender: 'M'}, rels: {spouses: ['y'], adopted_children: ['c']}},
+    {id: 'y', data: {gender: 'M'}, rels: {spouses: ['x'], adopted_children: ['c']}},
+  ]
+  const tree = CalculateTree({data, main_id: 'c'})
+  const links = getSpouseTextLinks(tree)
+  assert.equal(links.length, 2)
+  assert.ok(links.some(link => link.id === 'b--a'))
+  assert.ok(links.some(link => ['x--y', 'y--x'].includes(link.id)))
+})
@@ -0,0 +1,104 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+import {fanTextRotation} from '../../src/CalculateTree/CalculateTree.fanChart.js'
+
+const node = (tree, id) => tree.data.find(d => d.data.id === id && !d.duplicate)
+
+// main has both parents, all four grandparents, a spouse and a child
+function createData() {
+  return [
+    {id: 'main', data: {gender: 'M'}, rels: {father: 'f', mother: 'm', spouses: ['w'], children: ['c']}},
+    {id: 'f', data: {gender: 'M'}, rels: {father: 'ff', mother: 'fm', spouses: ['m'], children: ['main']}},
+    {id: 'm', data: {gender: 'F'}, rels: {father: 'mf', mother: 'mm', spouses: ['f'], children: ['main']}},
+    {id: 'ff', data: {gender: 'M'}, rels: {spouses: ['fm'], children: ['f']}},
+    {id: 'fm', data: {gender: 'F'}, rels: {spouses: ['ff'], children: ['f']}},
+    {id: 'mf', data: {gender: 'M'}, rels: {spouses: ['mm'], children: ['m']}},
+    {id: 'mm', data: {gender: 'F'}, rels: {spouses: ['mf'], children: ['m']}},
+    {id: 'w', data: {gender: 'F'}, rels: {spouses: ['main'], children: ['c']}},
+    {id: 'c', data: {gender: 'F'}, rels: {father: 'main', mother: 'w'}},
+  ]
+}
+
+test('fan chart shows only the ancestors, father half left and mother half right', () => {
+  const tree = CalculateTree({data: createData(), main_id: 'main', layout: 'fan'})
+  assert.deepEqual(tree.data.map(d => d.data.id).sort(), ['f', 'ff', 'fm', 'm', 'main', 'mf', 'mm'])
+  const fan = id => node(tree, id).fan
+  const half = 270 / 2 * Math.PI / 180
+  assert.deepEqual([fan('f').start_angle, fan('f').end_angle], [-half, 0])
+  assert.deepEqual([fan('m').start_angle, fan('m').end_angle], [0, half])
+  assert.deepEqual([fan('ff').start_angle, fan('ff').end_angle], [-half, -half/2])
+  assert.ok(node(tree, 'f').x < 0 && node(tree, 'm').x > 0)
+  assert.deepEqual([fan('mm').inner_radius, fan('mm').outer_radius], [200, 320])
+})
+
+test('fan chart depth and angle can be set', () => {
+  const tree = CalculateTree({data: createData(), main_id: 'main', layout: 'fan', ancestry_depth: 1, fan_options: {angle: 360, ring_width: 100}})
+  assert.deepEqual(tree.data.map(d => d.data.id).sort(), ['f', 'm', 'main'])
+  assert.equal(node(tree, 'f').fan.start_angle, -Math.PI)
+  assert.equal(node(tree, 'm').fan.outer_radius, 180)
+  assert.ok(tree.dim.width >= 360 && tree.dim.height >= 360)
+})
+
+test('fan chart keeps two slots for a single parent of parent_set and puts a woman right', () => {
+  const data = [
+    {id: 'main', data: {gender: 'M'}, rels: {father: 'f', adoptive_parents: ['am']}},
+    {id: 'f', data: {gender: 'M'}, rels: {children: ['main']}},
+    {id: 'am', data: {gender: 'F'}, rels: {adopted_children: ['main'], adoptive_parents: ['aa']}},
+    {id: 'aa', data: {gender: 'M'}, rels: {adopted_children: ['am']}},
+  ]
+  const tree = CalculateTree({data, main_id: 'main', layout: 'fan', parent_set: 'adoptive'})
+  assert.deepEqual(tree.data.map(d => d.data.id).sort(), ['aa', 'am', 'main'])
+  const fan = id => node(tree, id).fan
+  const half = 270 / 2 * Math.PI / 180
+  assert.deepEqual([fan('am').start_angle, fan('am').end_angle], [0, half])
+  assert.deepEqual([fan('aa').start_angle, fan('aa').end_angle], [0, half/2])
+
+  const biological = CalculateTree({data, main_id: 'main', layout: 'fan'})
+  assert.deepEqual([node(biological, 'f').fan.start_angle, node(biological, 'f').fan.end_angle], [-half, 0])
+})
+
+test('fan chart text is never upside down', () => {
+  const wide_bottom = {start_angle: Math.PI*.75, end_angle: Math.PI*1.25, inner_radius: 200, outer_radius: 320}
+  const narrow_left = {start_angle: -Math.PI*.51, end_angle: -Math.PI*.49, inner_radius: 200, outer_radius: 320}
+  assert.equal(fanTextRotation({start_angle: 0, end_angle: 2*Math.PI, inner_radius: 0, outer_radius: 80}), 0)
+  assert.equal(Math.round(fanTextRotation(wide_bottom)) % 360, 0)
+  assert.equal(Math.round(fanTextRotation(narrow_left)), 0)
+})
+
+test('bowtie has paternal ancestors left, maternal ancestors right and descendants below', () => {
+  const tree = CalculateTree({data: createData(), main_id: 'main', layout: 'bowtie'})
+  const main = node(tree, 'main');
+  ['f', 'ff', 'fm'].forEach(id => assert.ok(node(tree, id).x < main.x, `${id} is left`));
+  ['m', 'mf', 'mm'].forEach(id => assert.ok(node(tree, id).x > main.x, `${id} is right`))
+  assert.ok(node(tree, 'ff').x < node(tree, 'f').x && node(tree, 'mm').x > node(tree, 'm').x, 'generations go outwards');
+  ['f', 'm', 'ff', 'fm', 'mf', 'mm'].forEach(id => assert.ok(node(tree, id).y < main.y, `${id} is above`))
+  assert.ok(node(tree, 'c').y > main.y)
+  assert.equal(tree.is_horizontal, false)
+})
+
+test('bowtie puts a single mother on the maternal side', () => {
+  const data = [
+    {id: 'main', data: {gender: 'F'}, rels: {mother: 'm'}},
+    {id: 'm', data: {gender: 'F'}, rels: {children: ['main']}},
+  ]
+  const tree = CalculateTree({data, main_id: 'main', layout: 'bowtie', single_parent_empty_card: false})
+  assert.ok(node(tree, 'm').x > node(tree, 'main').x)
+})
+
+test('register shows only the descendants, one indented row per person of the bloodline', () => {
+  const data = [
+    {id: 'r', data: {gender: 'M'}, rels: {father: 'rf', spouses: ['s'], children: ['a', 'b']}},
+    {id: 'rf', data: {gender: 'M'}, rels: {children: ['r']}},
+    {id: 's', data: {gender: 'F'}, rels: {spouses: ['r'], children: ['a', 'b']}},
+    {id: 'a', data: {gender: 'M'}, rels: {father: 'r', mother: 's', children: ['g']}},
+    {id: 'b', data: {gender: 'F'}, rels: {father: 'r', mother: 's'}},
+    {id: 'g', data: {gender: 'F'}, rels: {father: 'a'}},
+  ]
+  const tree = CalculateTree({data, main_id: 'r', layout: 'register', node_separation: 200, level_separation: 100})
+  assert.equal(node(tree, 'rf'), undefined)
+  const rows = ['r', 'a', 'g', 'b'].map(id => node(tree, id))
+  rows.forEach((d, i) => assert.equal(d.y, i*60))
+  assert.deepEqual(rows.map(d => d.x), [0, 100, 200, 100])
+  assert.deepEqual([node(tree, 's').x, node(tree, 's').y], [200, 0])
+})
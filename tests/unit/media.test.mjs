@@ -0,0 +1,67 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {addMedia, removeMedia, setMedia, setPrimaryMedia, getMedia, getCardImage, mediaTypeFromUrl, readMediaFile} from '../../src/CreateTree/media.js'
+import {deletePerson} from '../../src/CreateTree/form.js'
+
+test('media type is taken from the url', () => {
+  assert.equal(mediaTypeFromUrl('https://example.com/photo.JPG?size=2'), 'image')
+  assert.equal(mediaTypeFromUrl('data:image/png;base64,AAAA'), 'image')
+  assert.equal(mediaTypeFromUrl('https://example.com/letter.pdf'), 'document')
+})
+
+test('only one media item is primary', () => {
+  const datum = {id: 'a', data: {}, rels: {}}
+  const first = addMedia(datum, {url: 'a.png', primary: true, date: '1900-01-02'})
+  const second = addMedia(datum, {url: 'b.png', primary: true})
+  assert.equal(first.date, '2 JAN 1900')
+  assert.deepEqual(getMedia(datum).filter(m => m.primary).map(m => m.id), [second.id])
+  setPrimaryMedia(datum, first.id)
+  assert.deepEqual(getMedia(datum).filter(m => m.primary).map(m => m.id), [first.id])
+  removeMedia(datum, first.id)
+  removeMedia(datum, second.id)
+  assert.equal(datum.media, undefined)
+})
+
+test('media without url is not kept', t => {
+  t.mock.method(console, 'error', () => {})
+  const datum = {id: 'a', data: {}, rels: {}}
+  assert.equal(addMedia(datum, {caption: 'no url'}), undefined)
+  setMedia(datum, [{url: 'letter.pdf'}, {caption: 'no url'}])
+  assert.deepEqual(getMedia(datum, 'document').map(m => m.url), ['letter.pdf'])
+})
+
+test('primary image is shown on the card instead of the avatar field', () => {
+  const datum = {id: 'a', data: {avatar: 'avatar.png', photo: 'photo.png'}, rels: {}}
+  assert.equal(getCardImage(datum), 'avatar.png')
+  assert.equal(getCardImage(datum, 'photo'), 'photo.png')
+  addMedia(datum, {url: 'letter.pdf', primary: true})
+  assert.equal(getCardImage(datum), 'avatar.png', 'a primary document is not an image')
+  addMedia(datum, {url: 'primary.png', primary: true})
+  assert.equal(getCardImage(datum), 'primary.png')
+})
+
+test('local files can be read as object urls', () => {
+  const file = new File(['abc'], 'letter.txt', {type: 'text/plain'})
+  return readMediaFile(file, {as: 'object_url'}).then(media_item => {
+    assert.equal(media_item.type, 'document')
+    assert.equal(media_item.caption, 'letter.txt')
+    assert.ok(media_item.url.startsWith('blob:'))
+    URL.revokeObjectURL(media_item.url)
+  })
+})
+
+test('a person that becomes unknown keeps no media, citations or events', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {children: ['c'], father: 'g'},
+      media: [{id: 'm', url: 'https://example.com/john.jpg', type: 'image', primary: true}],
+      citations: [{id: 'ct', source_id: 's', target_type: 'person'}],
+      events: [{id: 'e', type: 'birth', date: '1900'}]},
+    {id: 'g', data: {gender: 'M'}, rels: {children: ['f']}},
+    {id: 'c', data: {gender: 'F'}, rels: {father: 'f'}},
+  ]
+  deletePerson(data[0], data)
+  assert.equal(data[0].unknown, true)
+  assert.deepEqual(data[0].data, {gender: 'M'})
+  assert.equal(getCardImage(data[0]), null)
+  assert.deepEqual([data[0].media, data[0].citations, data[0].events], [undefined, undefined, undefined])
+})
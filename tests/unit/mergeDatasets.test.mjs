@@ -0,0 +1,50 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {mergeDatasets} from '../../src/CreateTree/mergeDatasets.js'
+
+const base_data = [
+  {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {children: ['c']}},
+  {id: 'c', data: {gender: 'F', 'first name': 'Ann'}, rels: {father: 'f'}},
+]
+
+const other_data = [
+  {id: 'f', data: {gender: 'M', 'first name': 'John', 'last name': 'Smith'}, rels: {children: ['b']}},
+  {id: 'b', data: {gender: 'M', 'first name': 'Bob'}, rels: {father: 'f'}},
+]
+
+test('anchored persons are merged and the other persons are added', () => {
+  const {data, report} = mergeDatasets(base_data, other_data, [{base_id: 'f', other_id: 'f'}])
+  assert.deepEqual(report.errors, [])
+  assert.deepEqual(report.merged, [{base_id: 'f', other_id: 'f'}])
+  assert.deepEqual(report.added, ['b'])
+  assert.equal(data.length, 3)
+  const father = data.find(d => d.id === 'f')
+  assert.equal(father.data['last name'], 'Smith')
+  assert.deepEqual(father.rels.children, ['c', 'b'])
+})
+
+test('invalid anchors are reported and leave no temporary person', () => {
+  const anchors = [{base_id: 'c', other_id: 'b'}]
+  const {data, report} = mergeDatasets(base_data, other_data, anchors)
+  assert.deepEqual(report.errors.map(e => [e.type, e.id]), [['invalid_anchor', 'b']])
+  assert.deepEqual(report.merged, [])
+  assert.equal(data.length, 4)
+  assert.deepEqual(data.slice(0, 2), base_data)
+  const bob = data.find(d => d.id === 'b')
+  const other_father = data.find(d => d.id === report.remapped.f)
+  assert.equal(bob.rels.father, other_father.id)
+  assert.deepEqual(other_father.rels.children, ['b'])
+})
+
+test('sources are merged into their own list and citations follow remapped source ids', () => {
+  const base_sources = [{id: 's', data: {title: 'Census'}}]
+  const other_sources = [{id: 's', data: {title: 'Parish register'}}, {id: 't', data: {title: 'Letters'}}]
+  const other = JSON.parse(JSON.stringify(other_data))
+  other[1].citations = [{id: 'c1', source_id: 's', target_type: 'person'}, {id: 'c2', source_id: 't', target_type: 'person'}]
+  const {data, sources, report} = mergeDatasets(base_data, other, [], {base_sources, other_sources})
+  const new_id = report.remapped_sources.s
+  assert.ok(new_id && new_id !== 's')
+  assert.deepEqual(sources, [...base_sources, {id: new_id, data: {title: 'Parish register'}}, other_sources[1]])
+  assert.deepEqual(data.find(d => d.id === 'b').citations.map(c => c.source_id), [new_id, 't'])
+  assert.deepEqual(base_sources, [{id: 's', data: {title: 'Census'}}])
+})
@@ -0,0 +1,62 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {addName, removeName, setNames, getNames, formatName, getAllNameStrings} from '../../src/CreateTree/names.js'
+import {gedcomToData, dataToGedcom} from '../../src/CreateTree/gedcom.js'
+import {deletePerson} from '../../src/CreateTree/form.js'
+
+function createDatum() {
+  return {
+    id: 'a',
+    data: {'first name': 'Mary', 'last name': 'Smith'},
+    rels: {},
+    names: [{id: 'n1', type: 'birth', last_name: 'Jones'}, {id: 'n2', type: 'alias', first_name: 'Molly', last_name: 'Smith'}]
+  }
+}
+
+test('names are formatted by display rules', () => {
+  const datum = createDatum()
+  assert.equal(formatName(datum), 'Mary Smith')
+  assert.equal(formatName(datum, 'birth_surname_in_parentheses'), 'Mary Smith (Jones)')
+  assert.equal(formatName(datum, 'surname_first'), 'Smith Mary')
+  assert.equal(formatName(datum, (first_name, last_name) => [last_name.toUpperCase()]), 'SMITH')
+})
+
+test('unknown display rule falls back to the default rule', t => {
+  t.mock.method(console, 'error', () => {})
+  assert.equal(formatName(createDatum(), 'middle_name_first'), 'Mary Smith')
+  assert.equal(console.error.mock.callCount(), 1)
+})
+
+test('all names of a person are searchable, current name first', () => {
+  assert.deepEqual(getAllNameStrings(createDatum()), ['Mary Smith', 'Jones', 'Molly Smith'])
+})
+
+test('empty names are not kept and the type defaults to alias', () => {
+  const datum = {id: 'a', data: {}, rels: {}}
+  setNames(datum, [{first_name: 'Mimi'}, {type: 'married'}])
+  assert.deepEqual(getNames(datum).map(n => [n.type, n.first_name]), [['alias', 'Mimi']])
+  const name = addName(datum, {type: 'married', last_name: 'Brown'})
+  assert.deepEqual(getNames(datum, 'married'), [name])
+  removeName(datum, name.id)
+  removeName(datum, getNames(datum)[0].id)
+  assert.equal(datum.names, undefined)
+})
+
+test('alternate names are written to and read from GEDCOM with their type', () => {
+  const gedcom = dataToGedcom([createDatum()])
+  const {data} = gedcomToData(gedcom)
+  assert.equal(data[0].data['first name'], 'Mary')
+  assert.deepEqual(data[0].names.map(n => [n.type, n.first_name, n.last_name]), [['birth', undefined, 'Jones'], ['alias', 'Molly', 'Smith']])
+})
+
+test('a person that becomes unknown keeps no alternate names', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M', 'first name': 'John'}, rels: {children: ['c'], father: 'g'}, names: [{id: 'n', type: 'birth', last_name: 'Smyth'}]},
+    {id: 'g', data: {gender: 'M'}, rels: {children: ['f']}},
+    {id: 'c', data: {gender: 'F'}, rels: {father: 'f'}},
+  ]
+  deletePerson(data[0], data)
+  assert.equal(data[0].unknown, true)
+  assert.equal(data[0].names, undefined)
+  assert.deepEqual(getAllNameStrings(data[0]), [])
+})
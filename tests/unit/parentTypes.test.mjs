@@ -0,0 +1,140 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import CalculateTree from '../../src/CalculateTree/CalculateTree.js'
+import {createLinks} from '../../src/CalculateTree/createLinks.js'
+import {calculateKinships} from '../../src/CalculateTree/CalculateTree.calculateKinships.js'
+import {createDataIndex} from '../../src/CalculateTree/CalculateTree.handlers.js'
+import {getParentIds, getChildIds, getParentTypeOf, getAllParentIds, getAllChildIds, groupParents} from '../../src/CalculateTree/CalculateTree.parentTypes.js'
+import {validateData, repairData} from '../../src/CreateTree/validateData.js'
+import createStore from '../../src/createStore.js'
+
+const node = (tree, id) => tree.data.find(d => d.data.id === id)
+
+function createData() {
+  return [
+    {id: 'c', data: {gender: 'F'}, rels: {father: 'f', mother: 'm', adoptive_parents: ['a1', 'a2'], adopted_children: ['ac']}},
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'a1', data: {gender: 'M'}, rels: {spouses: ['a2'], children: ['s'], adopted_children: ['c'], father: 'g'}},
+    {id: 'a2', data: {gender: 'F'}, rels: {spouses: ['a1'], children: ['s'], adopted_children: ['c']}},
+    {id: 's', data: {gender: 'F'}, rels: {father: 'a1', mother: 'a2'}},
+    {id: 'g', data: {gender: 'M'}, rels: {children: ['a1']}},
+    {id: 'ac', data: {gender: 'M'}, rels: {adoptive_parents: ['c'], children: ['gc']}},
+    {id: 'gc', data: {gender: 'F'}, rels: {father: 'ac'}},
+  ]
+}
+
+test('adoptive parents and children are shown next to biological ones with typed links', () => {
+  const tree = CalculateTree({data: createData(), main_id: 'c'});
+  ['f', 'm', 'a1', 'a2', 'g', 'ac'].forEach(id => assert.ok(node(tree, id), `${id} is in the tree`))
+  assert.equal(node(tree, 'a1').parent_type, 'adoptive')
+  assert.equal(node(tree, 'f').parent_type, undefined)
+  assert.equal(node(tree, 'a1')._spouse, node(tree, 'a2'))
+  assert.equal(node(tree, 'f')._spouse, node(tree, 'm'))
+
+  const links = createLinks({d: node(tree, 'c'), tree: tree.data}).filter(link => link.is_ancestry)
+  assert.deepEqual(links.map(link => link.parent_type), [undefined, 'adoptive'])
+  assert.deepEqual(links[1].target.map(d => d.data.id), ['a1', 'a2'])
+
+  const child_link = createLinks({d: node(tree, 'c'), tree: tree.data}).find(link => link.target === node(tree, 'ac'))
+  assert.equal(child_link.parent_type, 'adoptive')
+})
+
+test('parent_set only decides which parents are first in the layout', () => {
+  const biological = CalculateTree({data: createData(), main_id: 'c'})
+  assert.ok(node(biological, 'm').x < node(biological, 'a1').x)
+  const adoptive = CalculateTree({data: createData(), main_id: 'c', parent_set: 'adoptive'})
+  assert.ok(node(adoptive, 'a2').x < node(adoptive, 'f').x)
+  assert.ok(node(adoptive, 'f'))
+})
+
+test('kinships through typed parents reach beyond the direct relatives of main', () => {
+  const kinships = calculateKinships('c', createData())
+  assert.equal(kinships.f, 'father')
+  assert.equal(kinships.a1, 'adoptive father')
+  assert.equal(kinships.s, 'adoptive sister')
+  assert.equal(kinships.g, 'adoptive grandfather')
+  assert.equal(kinships.ac, 'adopted son')
+  assert.equal(kinships.gc, 'adopted granddaughter')
+})
+
+test('parent_set decides which parents and children are the displayed ones', () => {
+  const data = createData()
+  const data_index = createDataIndex(data)
+  const c = data_index.get('c')
+  assert.deepEqual(getParentIds(c), ['f', 'm'])
+  assert.deepEqual(getParentIds(c, 'adoptive'), ['a1', 'a2'])
+  assert.deepEqual(getParentIds(c, 'foster'), ['f', 'm'])
+  assert.deepEqual(getAllParentIds(c, 'adoptive'), ['a1', 'a2', 'f', 'm'])
+
+  assert.deepEqual(getChildIds(data_index.get('f'), 'adoptive', data_index), [])
+  assert.deepEqual(getChildIds(data_index.get('a1'), 'adoptive', data_index), ['s', 'c'])
+  assert.deepEqual(getChildIds(data_index.get('a1'), null, data_index), ['s'])
+  assert.deepEqual(getAllChildIds(data_index.get('f'), 'adoptive', data_index), ['c'])
+})
+
+test('parent type of a relation and grouping of parents by type', () => {
+  const c = createData()[0]
+  assert.equal(getParentTypeOf(c, 'f'), null)
+  assert.equal(getParentTypeOf(c, 'a2'), 'adoptive')
+  assert.equal(getParentTypeOf(c, 's'), null)
+
+  const parents = [{id: 'f'}, {id: 'a1', parent_type: 'adoptive'}, {id: 'm'}, {id: 'a2', parent_type: 'adoptive'}]
+  assert.deepEqual(groupParents(parents).map(group => group.map(d => d.id)), [['f', 'm'], ['a1', 'a2']])
+})
+
+test('step and foster parents get their own kinships', () => {
+  const data = [
+    {id: 'c', data: {gender: 'M'}, rels: {step_parents: ['sp'], foster_parents: ['fp']}},
+    {id: 'sp', data: {gender: 'F'}, rels: {step_children: ['c'], children: ['h']}},
+    {id: 'fp', data: {gender: 'M'}, rels: {foster_children: ['c']}},
+    {id: 'h', data: {gender: 'M'}, rels: {mother: 'sp'}},
+  ]
+  const kinships = calculateKinships('c', data)
+  assert.equal(kinships.sp, 'step-mother')
+  assert.equal(kinships.fp, 'foster father')
+  assert.equal(kinships.h, 'step-brother')
+})
+
+test('store links and unlinks typed parents on both sides', (t) => {
+  const store = createStore({data: createData(), main_id: 'c', node_separation: 250, level_separation: 150})
+  const changes = []
+  store.setOnDataChange(ids => changes.push(ids))
+  const data_index = () => store.getDataIndex()
+
+  assert.equal(store.linkParentOfType('gc', 'c', 'foster'), true)
+  assert.deepEqual(changes, [['gc', 'c']])
+  assert.deepEqual(data_index().get('gc').rels.foster_parents, ['c'])
+  assert.deepEqual(data_index().get('c').rels.foster_children, ['gc'])
+  store.linkParentOfType('gc', 'c', 'foster')
+  assert.deepEqual(data_index().get('gc').rels.foster_parents, ['c'])
+
+  store.removeRelationship('c', 'gc')
+  assert.equal(data_index().get('gc').rels.foster_parents, undefined)
+  assert.equal(data_index().get('c').rels.foster_children, undefined)
+  store.removeRelationship('c', 'a1')
+  assert.deepEqual(data_index().get('c').rels.adoptive_parents, ['a2'])
+  assert.equal(data_index().get('a1').rels.adopted_children, undefined)
+
+  const changes_count = changes.length
+  t.mock.method(console, 'error', () => {})
+  assert.equal(store.linkParentOfType('c', 'c', 'step'), undefined)
+  assert.equal(store.linkParentOfType('c', 'f', 'godparent'), undefined)
+  assert.equal(store.linkParentOfType('c', 'x', 'step'), undefined)
+  assert.equal(console.error.mock.callCount(), 3)
+  assert.equal(changes.length, changes_count)
+})
+
+test('typed parents listed on one side only are reported and repaired', () => {
+  const data = [
+    {id: 'c', data: {}, rels: {step_parents: ['p', 'x']}},
+    {id: 'p', data: {}, rels: {}},
+  ]
+  const problems = validateData(data)
+  assert.deepEqual(problems.map(p => [p.type, p.id, p.rel_type, p.rel_id]), [
+    ['asymmetric_parent_type', 'c', 'step_parents', 'p'],
+    ['missing_person', 'c', 'step_parents', 'x'],
+  ])
+  repairData(data, problems)
+  assert.deepEqual(data[1].rels.step_children, ['c'])
+})
@@ -0,0 +1,91 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {getPartnership, setPartnership, removePartnership, renamePartnershipId, removePartnershipsOf, getSortedSpouseIds, partnershipLabel} from '../../src/CreateTree/partnerships.js'
+import createStore from '../../src/createStore.js'
+
+function couple() {
+  return [
+    {id: 'a', data: {gender: 'M'}, rels: {spouses: ['b', 'c']}},
+    {id: 'b', data: {gender: 'F'}, rels: {spouses: ['a']}},
+    {id: 'c', data: {gender: 'F'}, rels: {spouses: ['a']}},
+  ]
+}
+
+test('partnership is added once per couple and read from both spouses', () => {
+  const [a, b] = couple()
+  const record = setPartnership(a, b, {type: 'married', start_date: '1920', place: 'London', unknown: 'x'})
+  assert.deepEqual(record, {type: 'married', start_date: '1920', place: 'London'})
+  assert.deepEqual(a.partnerships, {b: record})
+  assert.equal(b.partnerships, undefined)
+  assert.equal(getPartnership(b, a), record)
+})
+
+test('updating from the other spouse keeps the record on its owner', () => {
+  const [a, b] = couple()
+  setPartnership(a, b, {type: 'married', start_date: '1920'})
+  setPartnership(b, a, {type: 'married', start_date: '1920', end_date: '1930', end_reason: 'divorce'})
+  assert.deepEqual(a.partnerships.b, {type: 'married', start_date: '1920', end_date: '1930', end_reason: 'divorce'})
+  assert.equal(b.partnerships, undefined)
+
+  b.partnerships = {a: {type: 'partner'}}
+  setPartnership(a, b, {type: 'engaged'})
+  assert.equal(a.partnerships, undefined)
+  assert.deepEqual(b.partnerships, {a: {type: 'engaged'}})
+})
+
+test('partnership is removed by an empty record or removePartnership', () => {
+  const [a, b, c] = couple()
+  setPartnership(a, b, {type: 'married'})
+  setPartnership(a, c, {type: 'partner'})
+  setPartnership(a, b, {})
+  assert.deepEqual(Object.keys(a.partnerships), ['c'])
+  removePartnership(c, a)
+  assert.equal(a.partnerships, undefined)
+})
+
+test('partnerships follow id changes and deleted persons', () => {
+  const data = couple()
+  const [a, b, c] = data
+  setPartnership(a, b, {type: 'married'})
+  setPartnership(c, a, {type: 'partner'})
+  renamePartnershipId(data, 'b', 'b2')
+  assert.deepEqual(a.partnerships, {b2: {type: 'married'}})
+  removePartnershipsOf(a, data)
+  assert.equal(a.partnerships, undefined)
+  assert.equal(c.partnerships, undefined)
+})
+
+test('spouses are sorted by partnership start, undated ones keep their order', () => {
+  const data = couple()
+  const [a, b, c] = data
+  a.rels.spouses.unshift('d')
+  data.push({id: 'd', data: {}, rels: {spouses: ['a']}})
+  setPartnership(a, b, {start_date: '1930'})
+  setPartnership(c, a, {start_date: '1920'})
+  const getDatum = id => data.find(d => d.id === id)
+  assert.deepEqual(getSortedSpouseIds(a, getDatum), ['c', 'b', 'd'])
+})
+
+test('partnership label shows the type and years', () => {
+  assert.equal(partnershipLabel({type: 'married', start_date: '1920', end_date: '1930'}), 'Married 1920–1930')
+  assert.equal(partnershipLabel({type: 'partner', end_date: '1930'}), 'Partner ?–1930')
+  assert.equal(partnershipLabel({type: 'engaged'}), 'Engaged')
+  assert.equal(partnershipLabel(null), '')
+})
+
+test('store updates partnerships of spouses only', (t) => {
+  const store = createStore({data: couple(), main_id: 'a', node_separation: 250, level_separation: 150})
+  const changes = []
+  store.setOnDataChange(ids => changes.push(ids))
+  store.updatePartnership('b', 'a', {type: 'married'})
+  assert.deepEqual(store.getDataIndex().get('b').partnerships, {a: {type: 'married'}})
+  assert.deepEqual(changes, [['b', 'a']])
+  assert.equal(store.updatePartnership('a', 'b', null), null)
+  assert.equal(store.getDataIndex().get('b').partnerships, undefined)
+
+  t.mock.method(console, 'error', () => {})
+  store.updatePartnership('b', 'c', {type: 'married'})
+  store.updatePartnership('b', 'x', {type: 'married'})
+  assert.equal(console.error.mock.callCount(), 2)
+  assert.equal(changes.length, 2)
+})
@@ -0,0 +1,48 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {indexedDbAdapter} from '../../src/CreateTree/persistence.js'
+
+// in-memory indexedDB with a single object store, requests succeed asynchronously
+function fakeIndexedDb() {
+  const values = new Map()
+  const object_store = {
+    get: key => ({result: values.get(key)}),
+    put: (value, key) => ({result: values.set(key, structuredClone(value))}),
+    delete: key => ({result: values.delete(key)}),
+  }
+  const db = {
+    transaction: () => {
+      const transaction = {objectStore: () => object_store}
+      setTimeout(() => transaction.oncomplete())
+      return transaction
+    }
+  }
+  return {
+    open: () => {
+      const req = {result: db}
+      setTimeout(() => req.onsuccess())
+      return req
+    }
+  }
+}
+
+test('indexedDb adapter saves the state as it was when save was called', () => {
+  globalThis.indexedDB = fakeIndexedDb()
+  const adapter = indexedDbAdapter()
+  const state = {data: [{id: 'a', data: {'first name': 'Ann'}, rels: {}}], main_id: 'a', history: null}
+  const saved = adapter.save(state)
+  state.data[0].data['first name'] = 'Anna'
+  return saved.then(() => adapter.load()).then(loaded => {
+    assert.equal(loaded.data[0].data['first name'], 'Ann')
+    assert.equal(loaded.main_id, 'a')
+  })
+})
+
+test('indexedDb adapter loads nothing after clear', () => {
+  globalThis.indexedDB = fakeIndexedDb()
+  const adapter = indexedDbAdapter()
+  return adapter.save({data: [], main_id: null})
+    .then(() => adapter.clear())
+    .then(() => adapter.load())
+    .then(loaded => assert.equal(loaded, null))
+})
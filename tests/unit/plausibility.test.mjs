@@ -0,0 +1,62 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {checkPlausibility, groupPlausibilityProblems} from '../../src/CreateTree/plausibility.js'
+import {setPartnership} from '../../src/CreateTree/partnerships.js'
+
+const person = (id, data, rels = {}, events) => ({id, data, rels, ...(events ? {events} : {})})
+const types = problems => problems.map(p => [p.type, p.id, p.rel_id])
+
+test('impossible dates of a person are reported', () => {
+  const data = [
+    person('a', {'first name': 'Ann', birthday: '1900', death: '1890'}),
+    person('b', {birthday: '1850'}),
+    person('c', {birthday: '1850', deceased: true}),
+  ]
+  assert.deepEqual(types(checkPlausibility(data, {current_year: 2000})), [
+    ['death_before_birth', 'a', null],
+    ['too_old_not_deceased', 'b', null],
+  ])
+  assert.equal(checkPlausibility(data, {current_year: 2000})[0].message, 'Ann died before they were born')
+})
+
+test('parent age at the birth of a child is checked', () => {
+  const data = [
+    person('f', {gender: 'M', birthday: '1900', deceased: true}, {children: ['c1', 'c2', 'c3']}),
+    person('c1', {birthday: '1890', deceased: true}, {father: 'f'}),
+    person('c2', {birthday: '1905', deceased: true}, {father: 'f'}),
+    person('c3', {birthday: '1990', deceased: true}, {father: 'f'}),
+  ]
+  assert.deepEqual(types(checkPlausibility(data)), [
+    ['child_born_before_parent', 'c1', 'f'],
+    ['parent_too_young', 'c2', 'f'],
+    ['parent_too_old', 'c3', 'f'],
+  ])
+})
+
+test('approximate dates are reported only when no reading is plausible', () => {
+  const data = [
+    person('f', {birthday: 'ABT 1900', deceased: true}, {children: ['c']}),
+    person('c', {birthday: 'ABT 1911', deceased: true}, {father: 'f'}),
+  ]
+  assert.deepEqual(checkPlausibility(data), [])
+})
+
+test('marriage after death is reported for events and partnerships', () => {
+  const a = person('a', {death: '1900'}, {spouses: ['b']}, [{id: 'e', type: 'marriage', date: '1910'}])
+  const b = person('b', {death: '1950'}, {spouses: ['a']})
+  setPartnership(a, b, {start_date: '1920'})
+  const problems = checkPlausibility([a, b])
+  assert.deepEqual(types(problems), [
+    ['marriage_after_death', 'a', null],
+    ['marriage_after_death', 'a', 'b'],
+  ])
+  assert.deepEqual([...groupPlausibilityProblems(problems).keys()], ['a'])
+})
+
+test('placeholders are not checked', () => {
+  const data = [
+    {...person('p', {birthday: '1900', death: '1890'}), to_add: true},
+    {...person('u', {birthday: '1900', death: '1890'}), unknown: true},
+  ]
+  assert.deepEqual(checkPlausibility(data), [])
+})
@@ -0,0 +1,45 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {foldText, matchTexts, highlightText, searchPersons, textSimilarity} from '../../src/CreateTree/search.js'
+
+function createData() {
+  return [
+    {id: 'a', data: {'first name': 'Jürgen', 'last name': 'Müller', birthplace: 'Köln'}, rels: {}},
+    {id: 'b', data: {'first name': 'Anna', 'last name': 'Mueller'}, rels: {}},
+    {id: 'c', data: {'first name': 'Anna', 'last name': 'Schmidt'}, rels: {}, names: [{id: 'n', type: 'birth', last_name: 'Weiß'}]},
+    {id: 'p', data: {'first name': 'Anna', 'last name': 'Muller'}, rels: {}, to_add: true},
+  ]
+}
+
+test('text is folded to lower case without accents', () => {
+  assert.equal(foldText('Jürgen Weiß ØSTBY'), 'jurgen weiss ostby')
+})
+
+test('persons are found accent insensitive and with a typo', () => {
+  const results = searchPersons(createData(), 'muller')
+  assert.deepEqual(results.map(r => r.id), ['a', 'b'])
+  assert.ok(results[0].score > results[1].score, 'exact match ranks before the fuzzy one')
+})
+
+test('every word of the query has to match', () => {
+  assert.deepEqual(searchPersons(createData(), 'anna muller').map(r => r.id), ['b'])
+  assert.deepEqual(searchPersons(createData(), 'anna weiss').map(r => r.id), ['c'])
+})
+
+test('additional fields are searched', () => {
+  assert.deepEqual(searchPersons(createData(), 'koln').map(r => r.id), [])
+  const [result] = searchPersons(createData(), 'koln', {fields: ['birth place']})
+  assert.equal(result.id, 'a')
+  assert.deepEqual(result.matches, [{text: 'Köln', ranges: [[0, 4]]}])
+})
+
+test('matches are highlighted in the original text', () => {
+  const {matches} = matchTexts('mull jur', ['Jürgen Müller'])
+  assert.equal(highlightText('Jürgen Müller', matches[0].ranges), '<strong>Jür</strong>gen <strong>Müll</strong>er')
+})
+
+test('text similarity ignores accents and case', () => {
+  assert.equal(textSimilarity('MÜLLER', 'muller'), 1)
+  assert.equal(textSimilarity('abc', ''), 0)
+  assert.ok(textSimilarity('Mueller', 'Muller') > .8)
+})
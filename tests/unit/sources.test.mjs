@@ -0,0 +1,86 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import createStore from '../../src/createStore.js'
+import {validateData, repairData} from '../../src/CreateTree/validateData.js'
+import {gedcomToData, dataToGedcom} from '../../src/CreateTree/gedcom.js'
+
+function createData() {
+  return [
+    {id: 'p', data: {gender: 'M', 'first name': 'John', birthday: '1900'}, rels: {}, citations: [
+      {id: 'c1', source_id: 's', target_type: 'field', target_id: 'birthday', page: '12'},
+      {id: 'c2', source_id: 't', target_type: 'person'},
+    ]},
+  ]
+}
+
+function createSources() {
+  return [{id: 's', data: {title: 'Parish register'}}, {id: 't', data: {title: 'Letters'}}]
+}
+
+test('sources are kept in their own list next to the persons', (t) => {
+  const store = createStore({data: createData(), sources: createSources(), main_id: 'p'})
+  const changes = []
+  store.setOnDataChange(ids => changes.push(ids))
+  assert.deepEqual(store.getData().map(d => d.id), ['p'])
+
+  const source = store.addSource({title: 'Census', unknown: 'x'})
+  assert.deepEqual(source.data, {title: 'Census'})
+  store.updateSource(source.id, {author: 'State office'})
+  assert.deepEqual(store.getSources()[2].data, {title: 'Census', author: 'State office'})
+  assert.deepEqual(store.addCitation('p', {source_id: source.id}).source_id, source.id)
+
+  assert.equal(store.removeSource('s'), true)
+  assert.deepEqual(store.getSources().map(s => s.id), ['t', source.id])
+  assert.deepEqual(store.getDatum('p').citations.map(c => c.source_id), ['t', source.id])
+  assert.deepEqual(changes, [[], [], ['p'], ['p']])
+
+  t.mock.method(console, 'error', () => {})
+  store.removeSource('s')
+  store.updateSource('s', {title: 'x'})
+  store.addCitation('p', {source_id: 's'})
+  assert.equal(console.error.mock.callCount(), 3)
+  assert.equal(changes.length, 4)
+})
+
+test('deleting the last person leaves a new main person', () => {
+  const store = createStore({data: createData(), sources: createSources(), main_id: 'p'})
+  store.deletePerson('p')
+  assert.equal(store.getData().length, 1)
+  assert.equal(store.getMainId(), store.getData()[0].id)
+  assert.equal(store.getSources().length, 2)
+})
+
+test('citations of missing sources and targets are reported and repaired', () => {
+  const data = createData()
+  data[0].citations.push({id: 'c3', source_id: 's', target_type: 'field', target_id: 'hasOwnProperty'})
+  data[0].citations.push({id: 'c4', source_id: 's', target_type: 'event', target_id: 'e'})
+  assert.deepEqual(validateData(data).map(p => [p.type, p.rel_id]), [
+    ['missing_citation_target', 'c3'],
+    ['missing_citation_target', 'c4'],
+  ])
+
+  const problems = validateData(data, {sources: createSources().slice(0, 1)})
+  assert.deepEqual(problems.map(p => [p.type, p.rel_id]), [
+    ['missing_source', 'c2'],
+    ['missing_citation_target', 'c3'],
+    ['missing_citation_target', 'c4'],
+  ])
+  repairData(data, problems)
+  assert.deepEqual(data[0].citations.map(c => [c.id, c.target_type]), [['c1', 'field'], ['c3', 'person'], ['c4', 'person']])
+})
+
+test('a person without data does not break the citation check', () => {
+  const data = [{id: 'p', rels: {}, citations: [{id: 'c', source_id: 's', target_type: 'field', target_id: 'birthday'}]}]
+  assert.deepEqual(validateData(data).map(p => p.type), ['missing_citation_target'])
+})
+
+test('sources and citations round trip through GEDCOM', () => {
+  const gedcom = dataToGedcom(createData(), {sources: createSources()})
+  assert.match(gedcom, /0 @S1@ SOUR\n1 TITL Parish register\n/)
+  assert.match(gedcom, /1 SOUR @S1@\n2 PAGE 12\n/)
+
+  const {data, sources} = gedcomToData(gedcom)
+  assert.deepEqual(sources.map(s => s.data.title), ['Parish register', 'Letters'])
+  assert.ok(data.every(d => !d.is_source))
+  assert.deepEqual(data[0].citations.map(c => c.source_id), sources.map(s => s.id))
+})
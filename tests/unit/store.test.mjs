@@ -0,0 +1,113 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import createStore from '../../src/createStore.js'
+
+function setup() {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {gender: 'M'}, rels: {father: 'f', mother: 'm'}},
+  ]
+  const store = createStore({data, main_id: 'c', node_separation: 250, level_separation: 150})
+  store.updateTree({initial: true})
+  const changes = []
+  store.setOnDataChange(ids => changes.push(ids))
+  return {store, changes}
+}
+
+test('mutations refresh the data index and report the changed persons', () => {
+  const {store, changes} = setup()
+  const datum = store.addRelative('c', 'daughter', {'first name': 'Ann'})
+  assert.equal(store.getDataIndex().get(datum.id), datum)
+  assert.deepEqual(changes, [['c', datum.id]])
+
+  store.removeRelationship('f', 'm')
+  assert.deepEqual(changes[1], ['f', 'm'])
+  assert.deepEqual(store.getDataIndex().get('f').rels.spouses, [])
+})
+
+test('the tree is recalculated only by updateTree', () => {
+  const {store} = setup()
+  const datum = store.addRelative('c', 'son', {})
+  assert.equal(store.getTreeDatum(datum.id), undefined)
+  store.updateTree({})
+  assert.equal(store.getTreeDatum(datum.id).data, datum)
+})
+
+test('deleting a person refreshes the data index', () => {
+  const {store, changes} = setup()
+  store.deletePerson('c')
+  assert.equal(store.getDataIndex().has('c'), false)
+  assert.deepEqual(changes, [['c']])
+})
+
+test('added relatives are linked both ways', () => {
+  const {store} = setup()
+  const grandfather = store.addRelative('f', 'father', {'first name': 'Joe'})
+  assert.equal(store.getDatum('f').rels.father, grandfather.id)
+  assert.deepEqual(grandfather.rels.children, ['f'])
+  assert.equal(grandfather.data.gender, 'M')
+
+  const wife = store.addRelative('c', 'spouse', {gender: 'F'})
+  assert.deepEqual(store.getDatum('c').rels.spouses, [wife.id])
+  assert.deepEqual(wife.rels.spouses, ['c'])
+
+  const son = store.addRelative('c', 'son', {}, {other_parent_id: wife.id})
+  assert.equal(son.rels.father, 'c')
+  assert.equal(son.rels.mother, wife.id)
+  assert.deepEqual(wife.rels.children, [son.id])
+})
+
+test('invalid mutations are reported and change nothing', t => {
+  t.mock.method(console, 'error', () => {})
+  const {store, changes} = setup()
+  const data = JSON.stringify(store.getData())
+  assert.equal(store.addRelative('missing', 'son'), undefined)
+  assert.equal(store.addRelative('c', 'cousin'), undefined)
+  assert.equal(store.addRelative('c', 'father'), undefined)
+  assert.equal(store.addRelative('f', 'son', {}, {other_parent_id: 'c'}), undefined)
+  assert.equal(store.removeRelationship('c', 'missing'), undefined)
+  assert.equal(store.removeRelationship('c', 'c'), undefined)
+  assert.equal(store.deletePerson('missing'), undefined)
+  assert.equal(console.error.mock.callCount(), 7)
+  assert.equal(JSON.stringify(store.getData()), data)
+  assert.deepEqual(changes, [])
+})
+
+test('removing a spouse keeps the shared children with the first person by default', () => {
+  const {store} = setup()
+  store.removeRelationship('m', 'f')
+  assert.equal(store.getDatum('c').rels.mother, 'm')
+  assert.equal(store.getDatum('c').rels.father, null)
+  assert.deepEqual(store.getDatum('f').rels.children, [])
+
+  const other = setup().store
+  other.removeRelationship('m', 'f', {children_to: 'f'})
+  assert.equal(other.getDatum('c').rels.father, 'f')
+  assert.equal(other.getDatum('c').rels.mother, null)
+})
+
+test('removing a parent unlinks the child', () => {
+  const {store} = setup()
+  store.removeRelationship('c', 'm')
+  assert.equal(store.getDatum('c').rels.mother, null)
+  assert.deepEqual(store.getDatum('m').rels.children, [])
+  assert.deepEqual(store.getDatum('m').rels.spouses, ['f'])
+})
+
+test('deleting the main person moves main to the previous main person', () => {
+  const {store} = setup()
+  store.updateMainId('m')
+  store.updateMainId('c')
+  store.deletePerson('c')
+  assert.equal(store.getDatum('c'), undefined)
+  assert.equal(store.getMainId(), 'm')
+  assert.deepEqual(store.getDatum('f').rels.children, [])
+})
+
+test('a person that connects others to the tree becomes unknown instead of being deleted', () => {
+  const {store} = setup()
+  store.deletePerson('f')
+  assert.equal(store.getDatum('f').unknown, true)
+  assert.equal(store.getDatum('c').rels.father, 'f')
+})
@@ -0,0 +1,76 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {validateData, repairData} from '../../src/CreateTree/validateData.js'
+
+const types = problems => problems.map(p => p.type).sort()
+
+test('valid data has no problems', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F'}, rels: {spouses: ['f'], children: ['c']}},
+    {id: 'c', data: {}, rels: {father: 'f', mother: 'm'}},
+  ]
+  assert.deepEqual(validateData(data), [])
+})
+
+test('finds and repairs asymmetric and missing relations', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m', 'x']}},
+    {id: 'm', data: {gender: 'F'}, rels: {children: ['c']}},
+    {id: 'c', data: {}, rels: {father: 'f'}},
+  ]
+  assert.deepEqual(types(validateData(data)), ['asymmetric_child', 'asymmetric_parent', 'asymmetric_spouse', 'missing_person'])
+  const {unrepaired} = repairData(data)
+  assert.deepEqual(unrepaired, [])
+  assert.deepEqual(validateData(data), [])
+  assert.deepEqual(data[0].rels, {spouses: ['m'], children: ['c']})
+  assert.equal(data[2].rels.mother, 'm')
+})
+
+test('finds ancestor cycles', () => {
+  const data = [
+    {id: 'a', data: {}, rels: {father: 'b', children: ['b']}},
+    {id: 'b', data: {gender: 'M'}, rels: {father: 'a', children: ['a']}},
+  ]
+  assert.ok(types(validateData(data)).includes('ancestor_cycle'))
+})
+
+test('reports records without rels instead of throwing', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m'], children: ['c']}},
+    {id: 'm', data: {gender: 'F'}},
+    {id: 'c', data: {}},
+  ]
+  assert.deepEqual(types(validateData(data)), ['asymmetric_child', 'asymmetric_spouse', 'missing_rels', 'missing_rels'])
+  const {unrepaired} = repairData(data)
+  assert.deepEqual(unrepaired, [])
+  assert.deepEqual(validateData(data), [])
+  assert.equal(data[2].rels.father, 'f')
+})
+
+test('repairs a subset of problems on records without rels', () => {
+  const data = [
+    {id: 'f', data: {gender: 'M'}, rels: {spouses: ['m']}},
+    {id: 'm', data: {gender: 'F'}},
+  ]
+  const problems = validateData(data).filter(p => p.type !== 'missing_rels')
+  assert.deepEqual(repairData(data, problems).unrepaired, [])
+  assert.deepEqual(data[1].rels, {spouses: ['f']})
+})
+
+test('finds and repairs partnerships of non spouses and partnerships stored twice', () => {
+  const data = [
+    {id: 'a', data: {}, rels: {spouses: ['b']}, partnerships: {b: {type: 'married'}, c: {type: 'partner'}}},
+    {id: 'b', data: {}, rels: {spouses: ['a']}, partnerships: {a: {type: 'married'}}},
+    {id: 'c', data: {}, rels: {}},
+  ]
+  const problems = validateData(data)
+  assert.deepEqual(problems.map(p => [p.type, p.id, p.rel_id]), [
+    ['duplicate_partnership', 'a', 'b'],
+    ['orphan_partnership', 'a', 'c'],
+  ])
+  assert.deepEqual(repairData(data, problems).unrepaired, [])
+  assert.deepEqual(validateData(data), [])
+  assert.equal(data[0].partnerships, undefined)
+  assert.deepEqual(data[1].partnerships, {a: {type: 'married'}})
+})